@@ -11,6 +11,7 @@ Cu.import("resource:///modules/ircHandlers.jsm");
 Cu.import("resource:///modules/jsProtoHelper.jsm");
 Cu.import("resource:///modules/NormalizedMap.jsm");
 Cu.import("resource:///modules/socket.jsm");
+Cu.import("resource://prpl-radiognu/radiognu.jsm");
 
 XPCOMUtils.defineLazyModuleGetter(this, "PluralForm",
   "resource://gre/modules/PluralForm.jsm");
@@ -18,6 +19,200 @@ XPCOMUtils.defineLazyModuleGetter(this, "PluralForm",
 XPCOMUtils.defineLazyModuleGetter(this, "DownloadUtils",
   "resource://gre/modules/DownloadUtils.jsm");
 
+XPCOMUtils.defineLazyModuleGetter(this, "httpRequest",
+  "resource://gre/modules/Http.jsm");
+
+XPCOMUtils.defineLazyModuleGetter(this, "OS",
+  "resource://gre/modules/osfile.jsm");
+
+XPCOMUtils.defineLazyModuleGetter(this, "Task",
+  "resource://gre/modules/Task.jsm");
+
+XPCOMUtils.defineLazyModuleGetter(this, "Downloads",
+  "resource://gre/modules/Downloads.jsm");
+
+XPCOMUtils.defineLazyModuleGetter(this, "AddonManager",
+  "resource://gre/modules/AddonManager.jsm");
+
+Cu.importGlobalProperties(["TextEncoder"]);
+
+// Strings specific to RadioGNU, the IRC strings are available through _.
+XPCOMUtils.defineLazyGetter(this, "_radio", () =>
+  l10nHelper("chrome://prpl-radiognu/locale/radiognu.properties")
+);
+
+// The streams offered by the station (see "¿Cómo puedo escuchar la radio?" in
+// the README), indexed by quality.
+const kStreamMounts = {
+  normal: "radiometagnu.ogg",
+  liviana: "radiometagnu2.ogg",
+  am: "radiometagnuam.ogg"
+};
+// The quality whose metadata is used for the current track.
+const kDefaultQuality = "normal";
+// The quality read to get the metadata straight from the audio stream, the
+// lowest bitrate is enough as the audio is discarded.
+const kMetadataQuality = "am";
+// Wait this long before reopening a stream that was closed (in ms).
+const kStreamRetryDelay = 30 * 1000;
+// The playlists of the streams are at kStreamBaseURL + mount + ".m3u".
+const kStreamBaseURL = "http://audio.radiognu.org/";
+// Never poll the Icecast status more often than this (in seconds).
+const kMinStatusInterval = 10;
+// Song requests are sent to the channels as kSongRequestPrefix + track. This is
+// not localized as the clients of the hosts look for it.
+const kSongRequestPrefix = "Pedido: ";
+// A requested song must be at least this close to a song of the catalog (see
+// findClosest).
+const kMinSongRequestScore = 0.85;
+// The id of the add-on, see install.rdf.
+const kAddonId = "prpl-radiognu@alexandersalas.name";
+// The categories of the problems of the web portal reported with /reportar.
+const kReportCategories = ["caido", "enlace", "error", "contenido", "otro"];
+// A host speaking after this long (in ms) is considered to be back on air.
+const kHostSilence = 15 * 60 * 1000;
+// Listener counts older than this are dropped from the history (in ms).
+const kListenerHistoryLength = 3 * 60 * 60 * 1000;
+
+// Splits the metadata of an Icecast source into an {artist, title} object.
+// Sources usually only have a title of the form "<artist> - <title>".
+// Returns null if nothing is being played.
+function parseIcecastTrack(aSource) {
+  let title = aSource.title ? String(aSource.title).trim() : "";
+  let artist = aSource.artist ? String(aSource.artist).trim() : "";
+  if (!artist) {
+    let index = title.indexOf(" - ");
+    if (index != -1) {
+      artist = title.slice(0, index);
+      title = title.slice(index + 3);
+    }
+  }
+  if (!title)
+    return null;
+  return {artist: artist, title: title};
+}
+
+// Fetches the playlist of the stream of aQuality and calls aOnStream with the
+// first stream it lists, or aOnError with an error message. Returns the
+// request, aborting it cancels both callbacks.
+function requestStreamURL(aAccount, aQuality, aOnStream, aOnError) {
+  let url = kStreamBaseURL + kStreamMounts[aQuality] + ".m3u";
+  return httpRequest(url, {
+    onLoad: aResponse => {
+      let streams = parsePlaylist(aResponse, url);
+      if (streams.length)
+        aOnStream(streams[0]);
+      else
+        aOnError("No stream found in " + url);
+    },
+    onError: aError => aOnError("Failed to fetch " + url + ": " + aError),
+    logger: {log: aAccount.LOG.bind(aAccount),
+             debug: aAccount.DEBUG.bind(aAccount)}
+  });
+}
+
+// Reads the text at aSource, which is either a URL or a local path, and calls
+// aOnLoad with it or aOnError with an error. Returns the request when aSource is
+// a URL, aborting it cancels both callbacks.
+function fetchText(aAccount, aSource, aOnLoad, aOnError) {
+  // Anything that isn't a URL is a local path.
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(aSource)) {
+    OS.File.read(aSource, {encoding: "utf-8"}).then(aOnLoad, aOnError);
+    return null;
+  }
+  return httpRequest(aSource, {
+    onLoad: aOnLoad,
+    onError: aOnError,
+    logger: {log: aAccount.LOG.bind(aAccount),
+             debug: aAccount.DEBUG.bind(aAccount)}
+  });
+}
+
+// Returns a promise for the path of aFileName in the directory storing the
+// data of the account with id aAccountId, creating that directory if needed.
+function getAccountFilePath(aAccountId, aFileName) {
+  return Task.spawn(function* () {
+    let path = OS.Path.join(OS.Constants.Path.profileDir, "radiognu");
+    yield OS.File.makeDir(path, {ignoreExisting: true});
+    path = OS.Path.join(path, aAccountId);
+    yield OS.File.makeDir(path, {ignoreExisting: true});
+    return OS.Path.join(path, aFileName);
+  });
+}
+// Returns a promise for the parsed content of a JSON file stored for an
+// account, or null if the file doesn't exist.
+function readAccountFile(aAccountId, aFileName) {
+  return Task.spawn(function* () {
+    let path = yield getAccountFilePath(aAccountId, aFileName);
+    try {
+      return JSON.parse(yield OS.File.read(path, {encoding: "utf-8"}));
+    } catch (e if e instanceof OS.File.Error && e.becauseNoSuchFile) {
+      return null;
+    }
+  });
+}
+function writeAccountFile(aAccountId, aFileName, aData) {
+  return getAccountFilePath(aAccountId, aFileName).then(aPath =>
+    writeTextFile(aPath, JSON.stringify(aData)));
+}
+function writeTextFile(aPath, aText) {
+  return OS.File.writeAtomic(aPath, new TextEncoder().encode(aText),
+                             {tmpPath: aPath + ".tmp"});
+}
+
+// Replaces the {field} placeholders of aTemplate by the values of aFields,
+// unknown placeholders are kept.
+function fillTemplate(aTemplate, aFields) {
+  return aTemplate.replace(/\{(\w+)\}/g, (aMatch, aField) =>
+    aFields.hasOwnProperty(aField) ? aFields[aField] : aMatch);
+}
+
+// Returns an id for a new incident report, e.g. RG-20150105-4F2K. Reports are
+// saved and referred to by this id.
+function generateReportId() {
+  let date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  let suffix = Math.floor(Math.random() * Math.pow(36, 4)).toString(36);
+  return "RG-" + date + "-" + ("000" + suffix).slice(-4).toUpperCase();
+}
+
+// Parses a list of servers, separated by commas or spaces, of the form
+// <host>[:[+]<port>] where + means that TLS is used (as in irc:// URLs).
+// Returns an array of {host, port, ssl} objects.
+function parseEndpoints(aText, aDefaultPort) {
+  let endpoints = [];
+  for (let server of aText.split(/[\s,]+/)) {
+    let match = /^([^:\s]+)(?::(\+?)(\d+))?$/.exec(server);
+    if (!match)
+      continue;
+    endpoints.push({host: match[1],
+                    port: match[3] ? Number(match[3]) : aDefaultPort,
+                    ssl: match[2] == "+"});
+  }
+  return endpoints;
+}
+function formatEndpoint(aEndpoint)
+  aEndpoint.host + ":" + (aEndpoint.ssl ? "+" : "") + aEndpoint.port;
+
+function formatTrack(aTrack) {
+  if (!aTrack.artist)
+    return aTrack.title;
+  return _radio("track", aTrack.artist, aTrack.title);
+}
+
+// The escaping of the values of the message tags.
+const kTagEscapes = {";": "\\:", " ": "\\s", "\\": "\\\\", "\r": "\\r",
+                     "\n": "\\n"};
+const kTagUnescapes = {":": ";", "s": " ", "\\": "\\", "r": "\r", "n": "\n"};
+function escapeTagValue(aValue) {
+  return aValue.replace(/[; \\\r\n]/g, aChar => kTagEscapes[aChar]);
+}
+// An invalid escape is replaced by the escaped character, and a trailing
+// backslash is dropped.
+function unescapeTagValue(aValue) {
+  return aValue.replace(/\\(.?)/g, (aMatch, aChar) =>
+    kTagUnescapes.hasOwnProperty(aChar) ? kTagUnescapes[aChar] : aChar);
+}
+
 /*
  * Parses a raw IRC message into an object (see section 2.3 of RFC 2812). This
  * returns an object with the following fields:
@@ -32,6 +227,10 @@ XPCOMUtils.defineLazyModuleGetter(this, "DownloadUtils",
  *   host       The user's hostname, note that this can be undefined.
  *   source     A "nicely" formatted combination of user & host, which is
  *              <user>@<host> or <user> if host is undefined.
+ *   tags       A Map of the IRCv3 message tags (see
+ *              http://ircv3.net/specs/core/message-tags-3.2.html), indexed by
+ *              key (including its vendor prefix or client-only "+"), to the
+ *              unescaped value. Tags without value are mapped to "".
  *
  * There are cases (e.g. localhost) where it cannot be easily determined if a
  * message is from a server or from a user, thus the usage of a generic "origin"
@@ -43,9 +242,28 @@ XPCOMUtils.defineLazyModuleGetter(this, "DownloadUtils",
  *  aOrigin     The default origin to use for unprefixed messages.
  */
 function radiognuMessage(aData, aOrigin) {
-  let message = {rawMessage: aData};
+  let message = {rawMessage: aData, tags: new Map()};
   let temp;
 
+  // The tags come first: "@" <tag> [";" <tag>]* " ".
+  if (aData.startsWith("@")) {
+    let space = aData.indexOf(" ");
+    if (space == -1)
+      throw "Couldn't parse message: \"" + aData + "\"";
+    for (let tag of aData.slice(1, space).split(";")) {
+      if (!tag)
+        continue;
+      let equals = tag.indexOf("=");
+      if (equals == -1)
+        message.tags.set(tag, "");
+      else {
+        message.tags.set(tag.slice(0, equals),
+                         unescapeTagValue(tag.slice(equals + 1)));
+      }
+    }
+    aData = aData.slice(space).replace(/^ +/, "");
+  }
+
   // Splits the raw string into four parts (the second is required), the command
   // is required. A raw string looks like:
   //   [":" <prefix> " "] <command> [" " <parameter>]* [":" <last parameter>]
@@ -112,6 +330,55 @@ function _setMode(aAddNewMode, aNewModes) {
 
 // Properties / methods shared by both radiognuChannel and radiognuConversation.
 const GenericIRCConversation = {
+  // The time (in ms) of the last message received with a server-time, and the
+  // ids of the last messages, to avoid displaying the history twice.
+  _lastMessageTime: 0,
+  _seenMessageIds: null,
+  // The time of the last message displayed when the history was requested:
+  // the messages received since then must not hide the history.
+  _historyStartTime: 0,
+  // Applies the tags of the message being handled to the properties of the
+  // message written for it: its time, and whether it is part of the history.
+  // Returns false if the message was already displayed.
+  _applyMessageTags: function(aWho, aProperties) {
+    const kMaxSeenMessageIds = 1000;
+    let account = this._account;
+    let message = account._currentMessage;
+    if (!message || !message.tags.size)
+      return true;
+
+    let time = Date.parse(message.tags.get("time"));
+    if (!isNaN(time))
+      aProperties.time = Math.round(time / 1000);
+    let msgid = message.tags.get("msgid");
+    let isHistory = account.isHistoryMessage(message);
+    if (isHistory &&
+        (msgid ? !!this._seenMessageIds && this._seenMessageIds.has(msgid)
+               : !isNaN(time) && time <= this._historyStartTime))
+      return false;
+
+    if (msgid) {
+      if (!this._seenMessageIds)
+        this._seenMessageIds = new Set();
+      this._seenMessageIds.add(msgid);
+      if (this._seenMessageIds.size > kMaxSeenMessageIds)
+        this._seenMessageIds.delete(this._seenMessageIds.values().next().value);
+    }
+    if (time > this._lastMessageTime)
+      this._lastMessageTime = time;
+
+    if (isHistory) {
+      aProperties.delayed = true;
+      // Our own messages are part of the history too.
+      if (aWho && account.normalizeNick(aWho) ==
+                  account.normalizeNick(account._nickname)) {
+        delete aProperties.incoming;
+        aProperties.outgoing = true;
+      }
+    }
+    return true;
+  },
+
   _observedNicks: [],
   // This is set to true after a message is sent to notify the 401
   // ERR_NOSUCHNICK handler to write an error message to the conversation.
@@ -166,12 +433,23 @@ const GenericIRCConversation = {
 
     return messages;
   },
-  sendMsg: function(aMessage, aIsNotice) {
+  // aTags are the client tags of the message, e.g. +draft/reply.
+  sendMsg: function(aMessage, aIsNotice, aTags = {}) {
     if (!aMessage.length)
       return;
 
-    if (!this._account.sendMessage(aIsNotice ? "NOTICE" : "PRIVMSG",
-                                   [this.name, aMessage])) {
+    // Sending the message ends the typing notification.
+    clearTimeout(this._pausedTypingTimer);
+    this._typingState = "done";
+
+    // The message is displayed once the server echoes it.
+    if (this._account.enabledCAPs.has("echo-message")) {
+      this._account.sendEchoedMessage(this, aMessage, aIsNotice, aTags);
+      return;
+    }
+
+    if (!this._account.sendTaggedMessage(aIsNotice ? "NOTICE" : "PRIVMSG",
+                                         [this.name, aMessage], aTags)) {
       this.writeMessage(this._account._currentServerName,
                         _("error.sendMessageFailed"),
                         {error: true, system: true});
@@ -184,15 +462,71 @@ const GenericIRCConversation = {
 
     this._pendingMessage = true;
   },
-  // IRC doesn't support typing notifications, but it does have a maximum
-  // message length.
+  // Typing notifications are sent with the +typing client tag, see
+  // http://ircv3.net/specs/client-tags/typing. IRC also has a maximum message
+  // length.
   sendTyping: function(aString) {
+    this._sendTypingState(aString.length ? "active" : "done");
     let longestLineLength =
       Math.max.apply(null, aString.split("\n").map(this._account.countBytes,
                                                    this._account));
     return this.getMaxMessageLength() - longestLineLength;
   },
 
+  // The typing state last sent, "active", "paused" or "done".
+  _typingState: "done",
+  _lastActiveTyping: 0,
+  _pausedTypingTimer: null,
+  _sendTypingState: function(aState) {
+    // The active state is repeated while typing, at most every 3 seconds, and
+    // becomes paused after 5 seconds without typing.
+    const kActiveInterval = 3 * 1000;
+    const kPausedDelay = 5 * 1000;
+    let account = this._account;
+    if (!account.connected || !account.enabledCAPs.has("message-tags") ||
+        !account.getBool("sendTyping"))
+      return;
+
+    clearTimeout(this._pausedTypingTimer);
+    if (aState == "active") {
+      this._pausedTypingTimer =
+        setTimeout(() => this._sendTypingState("paused"), kPausedDelay);
+      if (this._typingState == "active" &&
+          Date.now() - this._lastActiveTyping < kActiveInterval)
+        return;
+      this._lastActiveTyping = Date.now();
+    }
+    else if (this._typingState == "done" || this._typingState == aState)
+      return;
+
+    this._typingState = aState;
+    account.sendTaggedMessage("TAGMSG", [this.name], {"+typing": aState});
+  },
+
+  // The typing notifications received expire, as the end of the typing may
+  // not be notified. Indexed by normalized nick.
+  _typingTimers: null,
+  // Sets the typing state of another participant: "active", "paused" or
+  // "done".
+  setTyping: function(aNick, aState) {
+    const kTypingExpiry = {active: 6 * 1000, paused: 30 * 1000};
+    let nick = this.normalizeNick(aNick);
+    if (!this._typingTimers)
+      this._typingTimers = new Map();
+    if (!(aState in kTypingExpiry) && !this._typingTimers.has(nick))
+      return;
+
+    clearTimeout(this._typingTimers.get(nick));
+    this._typingTimers.delete(nick);
+    if (aState in kTypingExpiry) {
+      this._typingTimers.set(nick,
+        setTimeout(() => this.setTyping(aNick, "done"), kTypingExpiry[aState]));
+    }
+    else
+      aState = "done";
+    this._showTyping(aNick, aState);
+  },
+
   requestBuddyInfo: function(aNick) {
     if (!this._observedNicks.length)
       Services.obs.addObserver(this, "user-info-received", false);
@@ -261,6 +595,11 @@ const GenericIRCConversation = {
   },
 
   unInitIRCConversation: function() {
+    clearTimeout(this._pausedTypingTimer);
+    if (this._typingTimers) {
+      for (let timer of this._typingTimers.values())
+        clearTimeout(timer);
+    }
     this._account.removeConversation(this.name);
     if (this._observedNicks.length)
       Services.obs.removeObserver(this, "user-info-received");
@@ -273,6 +612,10 @@ function radiognuChannel(aAccount, aName, aNick) {
   this._modes = new Set();
   this._observedNicks = [];
   this.banMasks = [];
+  this._hostActivity = new NormalizedMap(this.normalizeNick.bind(this));
+  this.questions = [];
+  this.songRequests = new Map();
+  this._recentMessages = [];
 }
 radiognuChannel.prototype = {
   __proto__: GenericConvChatPrototype,
@@ -284,6 +627,319 @@ radiognuChannel.prototype = {
   // True while we are rejoining a channel previously parted by the user.
   _rejoined: false,
   banMasks: [],
+  // The last time each host spoke in the channel (in ms).
+  _hostActivity: null,
+
+  // Whether aNick is one of the hosts of the show. Besides the hosts known to
+  // the account, the channel operators can be considered hosts.
+  isHost: function(aNick, aParticipant = this._participants.get(aNick)) {
+    if (this._account.isHostNick(aNick))
+      return true;
+    return this._account.getBool("opsAreHosts") && !!aParticipant &&
+           (aParticipant.op || aParticipant.halfOp);
+  },
+  // Refresh the host flag of the participants, e.g. when a show starts.
+  updateHosts: function() {
+    this._participants.forEach(aParticipant => {
+      let host = this.isHost(aParticipant.name, aParticipant);
+      if (host == aParticipant.host)
+        return;
+      aParticipant._host = host;
+      this.notifyObservers(aParticipant, "chat-buddy-update");
+    });
+  },
+  // Whether the user hosts a show in this channel.
+  get userIsHost() {
+    let broadcast = this._account.broadcast;
+    return (!!broadcast &&
+            broadcast.channels.has(this._account.normalize(this.name))) ||
+           this.isHost(this.nick);
+  },
+  // Whether the user has the privileges of a channel operator.
+  get isOperator() {
+    let participant = this._participants.get(this.nick);
+    return !!participant &&
+           (participant.founder || participant.op || participant.halfOp);
+  },
+
+  // Let the user know when a host starts talking after being silent.
+  _checkHostOnAir: function(aNick) {
+    if (!this.isHost(aNick))
+      return;
+    let now = Date.now();
+    let lastActivity = this._hostActivity.get(aNick) || 0;
+    this._hostActivity.set(aNick, now);
+    if (now - lastActivity < kHostSilence ||
+        !this._account.getBool("notifyHostOnAir"))
+      return;
+
+    let show = this._account.currentShow;
+    let text = show ? _radio("notification.onAir.show", aNick, this.name, show)
+                    : _radio("notification.onAir.text", aNick, this.name);
+    this._account.showNotification(_radio("notification.onAir"), text);
+  },
+
+  // The questions of the listeners to the hosts, as {id, nick, text, time,
+  // taken} objects in the order they were asked.
+  questions: [],
+  _lastQuestionId: 0,
+  // Queue the messages addressed to a host or starting with one of the
+  // question markers, when the user is a host of this channel.
+  _checkQuestion: function(aNick, aText) {
+    const kMaxQuestions = 100;
+    let account = this._account;
+    if (!this.userIsHost || this.isHost(aNick))
+      return;
+
+    let text = aText.trim();
+    let addressee = /^([^\s:,]+)[:,]\s/.exec(text);
+    let isQuestion = !!addressee && this.isHost(addressee[1]);
+    if (!isQuestion) {
+      let lowerText = text.toLowerCase();
+      isQuestion = account.getString("questionMarkers").split(",")
+                          .map(aMarker => aMarker.trim().toLowerCase())
+                          .some(aMarker => !!aMarker &&
+                                           lowerText.startsWith(aMarker));
+    }
+    if (!isQuestion)
+      return;
+
+    this.questions.push({id: ++this._lastQuestionId, nick: aNick, text: text,
+                         time: Date.now(), taken: false});
+    if (this.questions.length > kMaxQuestions)
+      this.questions.shift();
+  },
+  getQuestion: function(aId) this.questions.find(aQuestion => aQuestion.id == aId),
+  removeQuestion: function(aQuestion) {
+    this.questions = this.questions.filter(aOther => aOther != aQuestion);
+  },
+  // Keep the questions of a listener who changed nick.
+  renameAsker: function(aOldNick, aNewNick) {
+    let oldNick = this.normalizeNick(aOldNick);
+    for (let question of this.questions) {
+      if (this.normalizeNick(question.nick) == oldNick)
+        question.nick = aNewNick;
+    }
+  },
+  // Tell the listener their question is being answered, aAnswer is optional
+  // as the hosts usually answer on air.
+  answerQuestion: function(aQuestion, aAnswer) {
+    let msg = aAnswer ? _radio("questions.answer", aQuestion.nick, aAnswer) :
+      _radio("questions.answeredOnAir", aQuestion.nick, aQuestion.text);
+    this.sendMsg(msg);
+    this.removeQuestion(aQuestion);
+  },
+  getQuestionsMessage: function() {
+    if (!this.questions.length)
+      return _radio("message.questions.empty");
+    let lines = this.questions.map(aQuestion =>
+      _radio(aQuestion.taken ? "message.questions.taken"
+                             : "message.questions.entry",
+             aQuestion.id, aQuestion.nick, aQuestion.text));
+    lines.unshift(_radio("message.questions"));
+    return lines.join("\n");
+  },
+
+  // The songs requested by the listeners with /pedir, indexed by the
+  // normalized track, as {track, nicks} objects where nicks is the set of the
+  // normalized nicks who requested the track.
+  songRequests: null,
+  _checkSongRequest: function(aNick, aText) {
+    if (!this.userIsHost || !aText.startsWith(kSongRequestPrefix))
+      return;
+    let track = aText.slice(kSongRequestPrefix.length).trim();
+    if (!track)
+      return;
+    let key = normalizeForMatch(track);
+    if (!this.songRequests.has(key))
+      this.songRequests.set(key, {track: track, nicks: new Set()});
+    this.songRequests.get(key).nicks.add(this.normalizeNick(aNick));
+  },
+  getSongRequestsMessage: function() {
+    if (!this.songRequests.size)
+      return _radio("message.requests.empty");
+    let requests = [request for ([, request] of this.songRequests)];
+    requests.sort((a, b) => b.nicks.size - a.nicks.size);
+    let lines = requests.map(aRequest =>
+      PluralForm.get(aRequest.nicks.size, _radio("message.requests.entry"))
+                .replace("#1", aRequest.track)
+                .replace("#2", aRequest.nicks.size));
+    lines.unshift(_radio("message.requests"));
+    return lines.join("\n");
+  },
+
+  // The poll running in this channel, see startPoll.
+  poll: null,
+  // Start a poll, each participant can vote once by sending the number or the
+  // text of an option. The poll closes after aDuration minutes.
+  startPoll: function(aQuestion, aOptions, aDuration) {
+    this.poll = {
+      question: aQuestion,
+      options: aOptions,
+      // The index of the option chosen by each voter.
+      votes: new NormalizedMap(this.normalizeNick.bind(this)),
+      timer: setTimeout(this.closePoll.bind(this), aDuration * 60 * 1000)
+    };
+    this.sendMsg(_radio("poll.question", aQuestion));
+    this.sendMsg(aOptions.map((aOption, aIndex) =>
+      _radio("poll.option", aIndex + 1, aOption)).join("  "));
+    this.sendMsg(PluralForm.get(aDuration, _radio("poll.howToVote"))
+                           .replace("#1", aDuration));
+  },
+  // Close the poll and post its results to the channel, or only display them
+  // if the user is not in the channel anymore.
+  closePoll: function() {
+    let poll = this.poll;
+    clearTimeout(poll.timer);
+    delete this.poll;
+
+    let counts = poll.options.map(() => 0);
+    for (let [, index] of poll.votes.entries())
+      ++counts[index];
+    let total = poll.votes.size;
+    let results = poll.options.map((aOption, aIndex) =>
+      _radio("poll.result", aOption, counts[aIndex],
+             total ? Math.round(100 * counts[aIndex] / total) : 0));
+    let lines = [_radio("poll.results", poll.question), results.join(", "),
+                 PluralForm.get(total, _radio("poll.total"))
+                           .replace("#1", total)];
+    if (this.left || !this._account.connected) {
+      this.writeMessage("radiognu", lines.join("\n"), {system: true});
+      return;
+    }
+    lines.forEach(aLine => this.sendMsg(aLine));
+  },
+  _checkVote: function(aNick, aText) {
+    let poll = this.poll;
+    // Only the first vote of each participant counts.
+    if (!poll || poll.votes.has(aNick))
+      return;
+    let vote = aText.trim().toLowerCase();
+    let index = -1;
+    let number = /^#?(\d+)$/.exec(vote);
+    if (number)
+      index = parseInt(number[1], 10) - 1;
+    else
+      index = poll.options.findIndex(aOption => aOption.toLowerCase() == vote);
+    if (index >= 0 && index < poll.options.length)
+      poll.votes.set(aNick, index);
+  },
+  // Voters who change nick must not be able to vote again.
+  renameVoter: function(aOldNick, aNewNick) {
+    if (!this.poll || !this.poll.votes.has(aOldNick))
+      return;
+    this.poll.votes.set(aNewNick, this.poll.votes.get(aOldNick));
+    this.poll.votes.delete(aOldNick);
+  },
+
+  writeMessage: function(aWho, aText, aProperties) {
+    if (!this._applyMessageTags(aWho, aProperties))
+      return;
+    let text = aText;
+    if (!aProperties.system && (aProperties.incoming || aProperties.outgoing))
+      text = this._recordMessage(aWho, aText);
+    // The history is only displayed.
+    if (aProperties.incoming && !aProperties.system && !aProperties.delayed) {
+      this.setTyping(aWho, "done");
+      this._checkHostOnAir(aWho);
+      this._checkQuestion(aWho, aText);
+      this._checkVote(aWho, aText);
+      this._checkSongRequest(aWho, aText);
+    }
+    GenericConvChatPrototype.writeMessage.call(this, aWho, text, aProperties);
+  },
+
+  // The last messages of the channel, as {msgid, nick, text, reactions}
+  // objects, to reply and react to them. reactions maps each reaction to the
+  // normalized nicks who sent it.
+  _recentMessages: [],
+  // Keeps a message being written, and returns its text, which mentions the
+  // message it replies to, if any.
+  _recordMessage: function(aWho, aText) {
+    const kMaxRecentMessages = 200;
+    let tags = this._account._currentMessage ?
+      this._account._currentMessage.tags : new Map();
+    this._recentMessages.push({msgid: tags.get("msgid"), nick: aWho,
+                               text: aText, reactions: new Map()});
+    if (this._recentMessages.length > kMaxRecentMessages)
+      this._recentMessages.shift();
+
+    let repliedMessage = tags.has("+draft/reply") &&
+      this.findMessage(tags.get("+draft/reply"), true);
+    // The author may already be addressed, as on servers without tags.
+    if (!repliedMessage ||
+        aText.startsWith(_radio("reply.fallback", repliedMessage.nick, "")))
+      return aText;
+    return _radio("message.reply", repliedMessage.nick, aText);
+  },
+  // Returns the recent message with the msgid aRef or, unless aOnlyId, the
+  // last one sent by the nick aRef.
+  findMessage: function(aRef, aOnlyId) {
+    let nick = this.normalizeNick(aRef);
+    for (let i = this._recentMessages.length - 1; i >= 0; --i) {
+      let message = this._recentMessages[i];
+      if (message.msgid == aRef)
+        return message;
+    }
+    if (aOnlyId)
+      return null;
+    for (let i = this._recentMessages.length - 1; i >= 0; --i) {
+      let message = this._recentMessages[i];
+      if (this.normalizeNick(message.nick) == nick)
+        return message;
+    }
+    return null;
+  },
+  // The client tags referencing a message can only be used when the server
+  // supports them and identifies the message.
+  _canTag: function(aMessage)
+    !!aMessage.msgid && this._account.enabledCAPs.has("message-tags"),
+  // Replies to a message (see http://ircv3.net/specs/client-tags/reply), or
+  // addresses its author on servers without tags.
+  sendReply: function(aMessage, aText) {
+    if (this._canTag(aMessage))
+      this.sendMsg(aText, false, {"+draft/reply": aMessage.msgid});
+    else
+      this.sendMsg(_radio("reply.fallback", aMessage.nick, aText));
+  },
+  // Reacts to a message (see http://ircv3.net/specs/client-tags/react).
+  sendReaction: function(aMessage, aReaction) {
+    let account = this._account;
+    if (!this._canTag(aMessage)) {
+      this.sendMsg(_radio("reply.fallback", aMessage.nick, aReaction));
+      return;
+    }
+    account.sendTaggedMessage("TAGMSG", [this.name],
+                              {"+draft/reply": aMessage.msgid,
+                               "+draft/react": aReaction});
+    // Otherwise the server sends the reaction back.
+    if (!account.enabledCAPs.has("echo-message"))
+      this.gotReaction(account._nickname, aMessage.msgid, aReaction);
+  },
+  // Adds a reaction to the message with the msgid aMsgid, and tells the user
+  // unless aQuiet, e.g. for the history.
+  gotReaction: function(aNick, aMsgid, aReaction, aQuiet) {
+    const kExcerptLength = 40;
+    let message = this.findMessage(aMsgid, true);
+    if (!message)
+      return;
+    if (!message.reactions.has(aReaction))
+      message.reactions.set(aReaction, new Set());
+    message.reactions.get(aReaction).add(this.normalizeNick(aNick));
+    if (aQuiet)
+      return;
+
+    let excerpt = message.text;
+    if (excerpt.length > kExcerptLength)
+      excerpt = excerpt.slice(0, kExcerptLength - 1) + "\u2026";
+    let summary = [];
+    message.reactions.forEach((aNicks, aKey) =>
+      summary.push(_radio("message.reactions.entry", aKey, aNicks.size)));
+    this.writeMessage(aNick,
+                      _radio("message.reaction", aNick, aReaction,
+                             message.nick, excerpt, summary.join(", ")),
+                      {system: true, noLog: true});
+  },
 
   // Section 3.2.2 of RFC 2812.
   part: function(aMessage) {
@@ -309,10 +965,20 @@ radiognuChannel.prototype = {
   },
 
   unInit: function() {
+    if (this.poll)
+      clearTimeout(this.poll.timer);
     this.unInitIRCConversation();
     GenericConvChatPrototype.unInit.call(this);
   },
 
+  _showTyping: function(aNick, aState) {
+    let participant = this._participants.get(aNick);
+    if (!participant)
+      return;
+    participant._typing = aState == "active";
+    this.notifyObservers(participant, "chat-buddy-update");
+  },
+
   // Use the normalized nick in order to properly notify the observers.
   getNormalizedChatBuddyName: function(aNick) this.normalizeNick(aNick),
 
@@ -354,6 +1020,11 @@ radiognuChannel.prototype = {
     // Update the nickname and add it under the new nick.
     participant._name = aNewNick;
     this._participants.set(aNewNick, participant);
+    participant._host = this.isHost(aNewNick, participant);
+    if (this._hostActivity.has(aOldNick)) {
+      this._hostActivity.set(aNewNick, this._hostActivity.get(aOldNick));
+      this._hostActivity.delete(aOldNick);
+    }
 
     this.notifyObservers(participant, "chat-buddy-update", aOldNick);
   },
@@ -569,12 +1240,18 @@ function radiognuParticipant(aName, aConv) {
       this._modes.add(mode);
   }
   this._name = this._name.slice(i);
+  this._host = aConv.isHost(this._name, this);
 }
 radiognuParticipant.prototype = {
   __proto__: GenericConvChatBuddyPrototype,
 
+  // Whether this participant hosts the show, see radiognuChannel.isHost.
+  _host: false,
+  get host() this._host,
+
   setMode: function(aAddNewMode, aNewModes, aSetter) {
     _setMode.call(this, aAddNewMode, aNewModes);
+    this._host = this._conv.isHost(this.name, this);
 
     // Notify the UI of changes.
     let msg = _("message.usermode", (aAddNewMode ? "+" : "-") + aNewModes.join(""),
@@ -583,11 +1260,15 @@ radiognuParticipant.prototype = {
     this._conv.notifyObservers(this, "chat-buddy-update");
   },
 
+  // Hosts are not given a mode, they are flagged by host and in the tooltips
+  // (see radiognuAccount.getBuddyInfo).
   get voiced() this._modes.has("v"),
   get halfOp() this._modes.has("h"),
   get op() this._modes.has("o"),
   get founder() this._modes.has("O") || this._modes.has("q"),
-  get typing() false
+  // Set by radiognuChannel._showTyping.
+  _typing: false,
+  get typing() this._typing
 };
 
 function radiognuConversation(aAccount, aName) {
@@ -607,6 +1288,23 @@ radiognuConversation.prototype = {
   __proto__: GenericConvIMPrototype,
   get buddy() this._account.buddies.get(this.name),
 
+  writeMessage: function(aWho, aText, aProperties) {
+    if (!this._applyMessageTags(aWho, aProperties))
+      return;
+    if (aProperties.incoming && !aProperties.delayed)
+      this.setTyping(aWho, "done");
+    GenericConvIMPrototype.writeMessage.apply(this, arguments);
+  },
+
+  _showTyping: function(aNick, aState) {
+    const kTypingStates = {
+      active: Ci.prplIConvIM.TYPING,
+      paused: Ci.prplIConvIM.TYPED,
+      done: Ci.prplIConvIM.NOT_TYPING
+    };
+    this.updateTyping(kTypingStates[aState], aNick);
+  },
+
   unInit: function() {
     this.unInitIRCConversation();
     GenericConvIMPrototype.unInit.call(this);
@@ -653,6 +1351,18 @@ radiognuSocket.prototype = {
 
   // Implement Section 5 of RFC 2812.
   onDataReceived: function(aRawMessage) {
+    // The socket is disconnected if the certificate doesn't match its pin,
+    // ignore the lines that were received with the first one.
+    if (!this._account)
+      return;
+    // The proxy answers to the CONNECT request before the server is reached.
+    if (this._tunnel) {
+      this._onTunnelData(aRawMessage);
+      return;
+    }
+    if (!this._checkPinnedCertificate())
+      return;
+
     let conversionWarning = "";
     if (this._converter) {
       try {
@@ -681,7 +1391,17 @@ radiognuSocket.prototype = {
       let message = new radiognuMessage(dequotedMessage,
                                    this._account._currentServerName);
       this.DEBUG(JSON.stringify(message) + conversionWarning);
-      if (!ircHandlers.handleMessage(this._account, message)) {
+      // The conversations read the tags of the message being handled when
+      // writing it, see GenericIRCConversation._applyMessageTags.
+      let account = this._account;
+      account._currentMessage = message;
+      let handled;
+      try {
+        handled = ircHandlers.handleMessage(account, message);
+      } finally {
+        delete account._currentMessage;
+      }
+      if (!handled) {
         // If the message was not handled, throw a warning containing
         // the original quoted message.
         this.WARN("Unhandled IRC message:\n" + aRawMessage);
@@ -695,11 +1415,111 @@ radiognuSocket.prototype = {
     }
   },
   onConnection: function() {
+    this._setClientCertificate();
+    if (this._tunnel) {
+      this._openTunnel();
+      return;
+    }
     this._account._connectionRegistration.call(this._account);
   },
+
+  // Presents the client certificate chosen in the account options when the
+  // server asks for one, e.g. to authenticate with SASL EXTERNAL (CertFP).
+  _setClientCertificate: function() {
+    let cert = this._account._clientCert;
+    if (!cert || !this.transport.securityInfo)
+      return;
+    let socketControl =
+      this.transport.securityInfo.QueryInterface(Ci.nsISSLSocketControl);
+    if ("clientCert" in socketControl)
+      socketControl.clientCert = cert;
+    else
+      this.WARN("Client certificates are not supported by this application.");
+  },
+
+  // The type of proxy ("socks" or "http") the socket connects through, if any.
+  proxyType: null,
+  proxyHasCredentials: false,
+  // When connecting through an HTTP proxy, the tunnel to the server is opened
+  // with a CONNECT request (section 4.3.6 of RFC 7231). This is an object with
+  // the authorization header for the proxy, whether TLS must be started
+  // through the tunnel, and the status of the response of the proxy.
+  _tunnel: null,
+  _openTunnel: function() {
+    let target = this.host + ":" + this.port;
+    let request = "CONNECT " + target + " HTTP/1.1\r\nHost: " + target + "\r\n";
+    let loggedRequest = request;
+    if (this._tunnel.authorization) {
+      request += "Proxy-Authorization: " + this._tunnel.authorization + "\r\n";
+      loggedRequest += "Proxy-Authorization: <credentials not logged>\r\n";
+    }
+    this.sendData(request + "\r\n", loggedRequest);
+  },
+  _onTunnelData: function(aLine) {
+    let tunnel = this._tunnel;
+    if (!tunnel.statusLine) {
+      tunnel.statusLine = aLine;
+      let match = /^HTTP\/\d\.\d (\d{3})/.exec(aLine);
+      tunnel.status = match ? Number(match[1]) : 0;
+      return;
+    }
+    // Wait for the end of the headers.
+    if (aLine)
+      return;
+
+    if (tunnel.status >= 200 && tunnel.status < 300) {
+      this.LOG("Tunnel opened through the proxy: " + tunnel.statusLine);
+      delete this._tunnel;
+      if (tunnel.ssl)
+        this.startTLS();
+      this._account._connectionRegistration.call(this._account);
+      return;
+    }
+
+    this.ERROR("The proxy refused to open the tunnel: " + tunnel.statusLine);
+    // 407 Proxy Authentication Required.
+    if (tunnel.status == 407) {
+      let error = this.proxyHasCredentials ? "proxy.error.authentication"
+                                           : "proxy.error.authenticationRequired";
+      this._account.gotDisconnected(
+        Ci.prplIAccount.ERROR_AUTHENTICATION_FAILED, _radio(error));
+    }
+    else {
+      this._account.gotDisconnected(Ci.prplIAccount.ERROR_NETWORK_ERROR,
+                                    _radio("proxy.error.tunnel",
+                                           tunnel.statusLine));
+    }
+  },
+
+  // Report the failures to connect to the proxy instead of a lost connection.
+  onStopRequest: function(aRequest, aContext, aStatus) {
+    if (this._account && this.proxyType &&
+        (aStatus == Cr.NS_ERROR_PROXY_CONNECTION_REFUSED ||
+         aStatus == Cr.NS_ERROR_UNKNOWN_PROXY_HOST)) {
+      this.ERROR("Failed to connect to the proxy: " + aStatus);
+      if (aStatus == Cr.NS_ERROR_UNKNOWN_PROXY_HOST) {
+        this._account.gotDisconnected(Ci.prplIAccount.ERROR_NETWORK_ERROR,
+                                      _radio("proxy.error.unknownHost"));
+      }
+      // SOCKS proxies also refuse the connection when the authentication
+      // fails.
+      else if (this.proxyHasCredentials) {
+        this._account.gotDisconnected(
+          Ci.prplIAccount.ERROR_AUTHENTICATION_FAILED,
+          _radio("proxy.error.refusedCredentials"));
+      }
+      else {
+        this._account.gotDisconnected(Ci.prplIAccount.ERROR_NETWORK_ERROR,
+                                      _radio("proxy.error.refused"));
+      }
+      return;
+    }
+    Socket.onStopRequest.apply(this, arguments);
+  },
   disconnect: function() {
     if (!this._account)
       return;
+    clearTimeout(this._certificateTimer);
     Socket.disconnect.call(this);
     delete this._account;
   },
@@ -719,35 +1539,104 @@ radiognuSocket.prototype = {
     }
     else {
       this.ERROR(msg);
-      this._account.gotDisconnected(Ci.prplIAccount.ERROR_NETWORK_ERROR,
-                                    _("connection.error.lost"));
+      this._account.connectionLost(_("connection.error.lost"));
     }
   },
   onConnectionReset: function() {
     this.ERROR("Connection reset.");
-    this._account.gotDisconnected(Ci.prplIAccount.ERROR_NETWORK_ERROR,
-                                  _("connection.error.lost"));
+    this._account.connectionLost(_("connection.error.lost"));
   },
   onConnectionTimedOut: function() {
     this.ERROR("Connection timed out.");
-    this._account.gotDisconnected(Ci.prplIAccount.ERROR_NETWORK_ERROR,
-                                  _("connection.error.timeOut"));
-  },
-  onBadCertificate: function(aIsSslError, aNSSErrorMessage) {    
-    if(!this.sslStatus) {
-      this.ERROR("SSL connection for " + this._account.name +
-                     ":\n" + aNSSErrorMessage);
-          let error = this._account.handleBadCertificate(this, aIsSslError);
-          this._account.gotDisconnected(error, aNSSErrorMessage);
-    } else {
-      var gSSLStatus = this.sslStatus
-      var gCert = gSSLStatus.serverCert;
-      var overrideService = Components.classes["@mozilla.org/security/certoverride;1"]
-                                    .getService(Components.interfaces.nsICertOverrideService);  
-      overrideService.rememberValidityOverride('irc.radiognu.org', '7767', gCert, 3, false);
-      this._account.gotDisconnected(Ci.prplIAccount.ERROR_NETWORK_ERROR,
-                                    'Installing certificate');
+    this._account.connectionLost(_("connection.error.timeOut"));
+  },
+  // Certificates that are not trusted are accepted on first use: their
+  // fingerprint and issuer are shown and the user can accept them with the
+  // certificate exception dialog of the core, they are then pinned once
+  // connected. A certificate that doesn't match the pin is refused.
+  onBadCertificate: function(aIsSslError, aNSSErrorMessage) {
+    let account = this._account;
+    let status = this.sslStatus;
+    let cert = status && status.serverCert;
+    let pin = cert && account.getCertificatePin(this.host, this.port);
+    if (pin && pin.fingerprint != cert.sha256Fingerprint) {
+      this._refuseCertificate(cert);
+      return;
+    }
+
+    this.ERROR("SSL connection for " + account.name + ":\n" +
+               aNSSErrorMessage);
+    let error = account.handleBadCertificate(this, aIsSslError);
+    account.connectionFailed(error, cert ?
+      account.getUntrustedCertificateMessage(this.host, this.port, cert) :
+      aNSSErrorMessage);
+  },
+
+  // Trusted certificates don't go through onBadCertificate, they are pinned
+  // (or checked against their pin) once the TLS handshake is done. Only CAP LS
+  // is sent before, to start the handshake: the credentials are sent once the
+  // certificate is checked, see radiognuAccount._connectionRegistration.
+  _certificateChecked: false,
+  _onCertificateChecked: null,
+  _certificateTimer: null,
+  waitForCertificate: function(aCallback) {
+    if (this._certificateChecked) {
+      aCallback();
+      return;
     }
+    this._onCertificateChecked = aCallback;
+    this._checkPinnedCertificate();
+  },
+  // Returns false if the connection was closed.
+  _checkPinnedCertificate: function() {
+    const kCheckInterval = 100;
+    if (this._certificateChecked)
+      return true;
+    clearTimeout(this._certificateTimer);
+    delete this._certificateTimer;
+
+    let account = this._account;
+    let cert = null;
+    if (account._ssl) {
+      let status = this._getSSLStatus();
+      cert = status && status.serverCert;
+      // Wait for the end of the handshake.
+      if (!cert) {
+        this._certificateTimer = setTimeout(() => {
+          if (this._account)
+            this._checkPinnedCertificate();
+        }, kCheckInterval);
+        return true;
+      }
+    }
+    this._certificateChecked = true;
+
+    if (cert) {
+      let pin = account.getCertificatePin(this.host, this.port);
+      if (!pin)
+        account.pinCertificate(this.host, this.port, cert);
+      else if (pin.fingerprint != cert.sha256Fingerprint) {
+        this._refuseCertificate(cert);
+        return false;
+      }
+    }
+    if (this._onCertificateChecked) {
+      let callback = this._onCertificateChecked;
+      delete this._onCertificateChecked;
+      callback();
+    }
+    return true;
+  },
+  _getSSLStatus: function()
+    this.transport.securityInfo.QueryInterface(Ci.nsISSLStatusProvider)
+        .SSLStatus,
+  _refuseCertificate: function(aCert) {
+    this.ERROR("The certificate of " + this.host + ":" + this.port +
+               " does not match its pin, its fingerprint is " +
+               aCert.sha256Fingerprint + ".");
+    this._account.connectionFailed(
+      Ci.prplIAccount.ERROR_CERT_FINGERPRINT_MISMATCH,
+      _radio("certificate.changed", this.host));
   },
 
   get DEBUG() this._account.DEBUG,
@@ -756,36 +1645,1145 @@ radiognuSocket.prototype = {
   get ERROR() this._account.ERROR
 };
 
-function radiognuAccountBuddy(aAccount, aBuddy, aTag, aUserName) {
-  this._init(aAccount, aBuddy, aTag, aUserName);
+// IRC over WebSocket (see http://ircv3.net/specs/extensions/websocket.html),
+// for the listeners whose firewall only lets HTTP(S) through. Each WebSocket
+// message is an IRC line, the lines are handled as if they were received by a
+// radiognuSocket.
+function radiognuWebSocket(aAccount) {
+  radiognuSocket.call(this, aAccount);
 }
-radiognuAccountBuddy.prototype = {
-  __proto__: GenericAccountBuddyPrototype,
+radiognuWebSocket.prototype = {
+  __proto__: radiognuSocket.prototype,
+  // The subprotocols, in order of preference. With binary.ircv3.net the lines
+  // are in the encoding of the account, with text.ircv3.net they are UTF-8.
+  _kProtocols: ["binary.ircv3.net", "text.ircv3.net"],
+  // Ping the server after a minute without data, and disconnect if it doesn't
+  // answer within another minute.
+  _kPingInterval: 60 * 1000,
+  _kPingTimeout: 60 * 1000,
+  _channel: null,
+  _binary: false,
+  _pingTimer: null,
+  disconnected: true,
+
+  connect: function(aURL) {
+    let uri = Services.io.newURI(aURL, null, null);
+    this.host = uri.host;
+    this.port = uri.port == -1 ? (uri.schemeIs("wss") ? 443 : 80) : uri.port;
+    this.disconnected = false;
+    this.LOG("Connecting to: " + aURL);
+
+    this._channel =
+      Cc["@mozilla.org/network/protocol;1?name=" + uri.scheme]
+        .createInstance(Ci.nsIWebSocketChannel);
+    if ("initLoadInfo" in this._channel) {
+      this._channel.initLoadInfo(null,
+        Services.scriptSecurityManager.getSystemPrincipal(), null,
+        Ci.nsILoadInfo.SEC_NORMAL, Ci.nsIContentPolicy.TYPE_WEBSOCKET);
+    }
+    this._channel.protocol = this._kProtocols.join(", ");
+    this._channel.asyncOpen(uri, aURL, this, null);
+  },
+  disconnect: function() {
+    if (!this._account)
+      return;
+    this.disconnected = true;
+    clearTimeout(this._pingTimer);
+    delete this._pingTimer;
+    try {
+      this._channel.close(Ci.nsIWebSocketChannel.CLOSE_NORMAL, "");
+    } catch (e) {
+      // The channel was already closed.
+    }
+    delete this._channel;
+    delete this._account;
+  },
 
-  // Returns a list of imITooltipInfo objects to be displayed when the user
-  // hovers over the buddy.
-  getTooltipInfo: function() this._account.getBuddyInfo(this.normalizedName),
+  sendString: function(aString, aEncoding, aLoggedData) {
+    if (!this._binary) {
+      this.sendData(aString, aLoggedData);
+      return;
+    }
+    let converter = Cc["@mozilla.org/intl/scriptableunicodeconverter"]
+                      .createInstance(Ci.nsIScriptableUnicodeConverter);
+    converter.charset = aEncoding;
+    this.sendData(converter.ConvertFromUnicode(aString) + converter.Finish(),
+                  aLoggedData);
+  },
+  sendData: function(aData, aLoggedData = aData) {
+    this.DEBUG("Sending:\n" + aLoggedData);
+    // Each message is a single line, without its delimiter.
+    let line = aData.replace(/\r?\n$/, "");
+    if (this._binary)
+      this._channel.sendBinaryMsg(line);
+    else
+      this._channel.sendMsg(line);
+  },
 
-  // Allow sending of messages to buddies even if they are not online since IRC
-  // does not always provide status information in a timely fashion. (Note that
-  // this is OK since the server will throw an error if the user is not online.)
-  get canSendMessage() this.account.connected,
+  resetPingTimer: function() {
+    clearTimeout(this._pingTimer);
+    this._pingTimer = setTimeout(() => {
+      this.sendPing();
+      this._pingTimer = setTimeout(this.onConnectionTimedOut.bind(this),
+                                   this._kPingTimeout);
+    }, this._kPingInterval);
+  },
+  cancelDisconnectTimer: function() {
+    this.resetPingTimer();
+  },
 
-  // Called when the user wants to chat with the buddy.
-  createConversation: function() this._account.createConversation(this.userName),
+  _setClientCertificate: function() {
+    if (this._account._clientCert)
+      this.WARN("Client certificates are not supported over WebSocket.");
+  },
+  _getSSLStatus: function()
+    this._channel.securityInfo.QueryInterface(Ci.nsISSLStatusProvider)
+        .SSLStatus,
+
+  // nsIWebSocketListener implementation.
+  onStart: function(aContext) {
+    this._binary = this._channel.protocol == "binary.ircv3.net";
+    // The text messages are already decoded.
+    if (!this._binary)
+      delete this._converter;
+    this.LOG("Connected using the " + (this._channel.protocol || "default") +
+             " subprotocol.");
+    this.resetPingTimer();
+    this.onConnection();
+  },
+  onStop: function(aContext, aStatusCode) {
+    if (this.disconnected)
+      return;
+    if (Components.isSuccessCode(aStatusCode)) {
+      this.onConnectionClosed();
+      return;
+    }
+    this.ERROR("WebSocket error: " + aStatusCode);
+    // Errors of the security module (NSS) are certificate errors.
+    if ((aStatusCode & 0xff0000) == 0x5a0000) {
+      this._account.connectionFailed(Ci.prplIAccount.ERROR_CERT_OTHER_ERROR,
+                                     _radio("websocket.error.certificate"));
+    }
+    else
+      this._account.connectionLost(_("connection.error.lost"));
+  },
+  onMessageAvailable: function(aContext, aMessage) {
+    for (let line of aMessage.split(this.delimiter)) {
+      if (line && this._account)
+        this.onDataReceived(line);
+    }
+  },
+  onBinaryMessageAvailable: function(aContext, aMessage) {
+    this.onMessageAvailable(aContext, aMessage);
+  },
+  onAcknowledge: function(aContext, aSize) {},
+  onServerClose: function(aContext, aCode, aReason) {
+    this.LOG("The server closed the WebSocket (" + aCode + "): " + aReason);
+  },
 
-  remove: function() {
-    this._account.removeBuddy(this);
-    GenericAccountBuddyPrototype.remove.call(this);
-  }
+  QueryInterface: XPCOMUtils.generateQI([Ci.nsIWebSocketListener])
 };
 
-function radiognuAccount(aProtocol, aImAccount) {
-  this._init(aProtocol, aImAccount);
-  this.buddies = new NormalizedMap(this.normalizeNick.bind(this));
-  this.conversations = new NormalizedMap(this.normalize.bind(this));
-
-  // Split the account name into usable parts.
+// Plays a stream of the station in the background, through an audio element
+// of the hidden window.
+function radiognuPlayer(aAccount) {
+  this._account = aAccount;
+}
+radiognuPlayer.prototype = {
+  _audio: null,
+  _request: null,
+  // The conversation to report the state of the playback to.
+  _conv: null,
+  // The quality being played, or null.
+  quality: null,
+  get playing() !!this.quality,
+
+  play: function(aQuality, aConv) {
+    this.stop();
+    this.quality = aQuality;
+    this._conv = aConv;
+
+    this._notify(_radio("message.player.connecting",
+                        _radio("quality." + aQuality)));
+    let request = requestStreamURL(this._account, aQuality, aURL => {
+      if (this._request != request)
+        return;
+      delete this._request;
+      this._startAudio(aURL);
+    }, aError => {
+      if (this._request != request)
+        return;
+      delete this._request;
+      this._onError(aError);
+    });
+    this._request = request;
+  },
+
+  stop: function() {
+    if (!this.playing)
+      return false;
+    if (this._request) {
+      let request = this._request;
+      delete this._request;
+      request.abort();
+    }
+    if (this._audio) {
+      this._audio.pause();
+      // Removing the source is required to close the network connection.
+      this._audio.removeAttribute("src");
+      this._audio.load();
+      delete this._audio;
+    }
+    delete this.quality;
+    return true;
+  },
+
+  _startAudio: function(aURL) {
+    this._account.LOG("Playing " + aURL);
+    let doc = Services.appShell.hiddenDOMWindow.document;
+    let audio = doc.createElementNS("http://www.w3.org/1999/xhtml", "audio");
+    audio.addEventListener("playing", () => {
+      if (this._audio == audio) {
+        this._notify(_radio("message.player.playing",
+                            _radio("quality." + this.quality)));
+      }
+    });
+    audio.addEventListener("error", () => {
+      if (this._audio == audio)
+        this._onError("Failed to play " + aURL);
+    });
+    audio.src = aURL;
+    this._audio = audio;
+    audio.play();
+  },
+
+  _onError: function(aError) {
+    this._account.ERROR(aError);
+    let quality = this.quality;
+    this.stop();
+    this._notify(_radio("message.player.error", _radio("quality." + quality)),
+                 true);
+  },
+
+  // Write a message in the conversation that started the playback if it is
+  // still open, in the server tab otherwise.
+  _notify: function(aMsg, aIsError) {
+    let account = this._account;
+    let conv = this._conv;
+    if (!conv || !account.conversations.has(conv.name) ||
+        account.conversations.get(conv.name) != conv) {
+      if (!account._showServerTab)
+        return;
+      conv = account.getConversation(account._currentServerName);
+    }
+    conv.writeMessage("radiognu", aMsg,
+                      {system: true, noLog: true, error: !!aIsError});
+  }
+};
+
+// Reads the comment headers of a stream to follow the tracks straight from the
+// audio, instead of relying on the Icecast status.
+function radiognuTrackReader(aAccount) {
+  this._account = aAccount;
+}
+radiognuTrackReader.prototype = {
+  _request: null,
+  _channel: null,
+  _retryTimer: null,
+  _reader: null,
+  running: false,
+
+  start: function() {
+    this.stop();
+    this.running = true;
+    let request = requestStreamURL(this._account, kMetadataQuality, aURL => {
+      if (this._request != request)
+        return;
+      delete this._request;
+      this._open(aURL);
+    }, aError => {
+      if (this._request != request)
+        return;
+      delete this._request;
+      this._retry(aError);
+    });
+    this._request = request;
+  },
+
+  stop: function() {
+    delete this.running;
+    clearTimeout(this._retryTimer);
+    delete this._retryTimer;
+    if (this._request) {
+      let request = this._request;
+      delete this._request;
+      request.abort();
+    }
+    if (this._channel) {
+      let channel = this._channel;
+      delete this._channel;
+      channel.cancel(Cr.NS_BINDING_ABORTED);
+    }
+    delete this._reader;
+  },
+
+  _open: function(aURL) {
+    this._account.LOG("Reading the track metadata from " + aURL);
+    this._reader = new OggCommentReader(aComments => {
+      let track = commentsToTrack(aComments.comments);
+      if (track)
+        this._account.setNowPlaying(track, kMetadataQuality);
+    });
+    this._channel = Services.io.newChannel(aURL, null, null);
+    this._channel.asyncOpen(this, null);
+  },
+
+  _retry: function(aError) {
+    this._account.WARN(aError);
+    if (!this.running)
+      return;
+    this._retryTimer = setTimeout(this.start.bind(this), kStreamRetryDelay);
+  },
+
+  // nsIStreamListener
+  onStartRequest: function(aRequest, aContext) {},
+  onDataAvailable: function(aRequest, aContext, aInputStream, aOffset, aCount) {
+    let stream = Cc["@mozilla.org/binaryinputstream;1"]
+                   .createInstance(Ci.nsIBinaryInputStream);
+    stream.setInputStream(aInputStream);
+    let bytes = stream.readByteArray(aCount);
+    if (aRequest == this._channel)
+      this._reader.onData(bytes);
+  },
+  onStopRequest: function(aRequest, aContext, aStatus) {
+    if (aRequest != this._channel)
+      return;
+    delete this._channel;
+    delete this._reader;
+    this._retry("The stream was closed (" + aStatus + ").");
+  },
+  QueryInterface: XPCOMUtils.generateQI([Ci.nsIStreamListener,
+                                         Ci.nsIRequestObserver])
+};
+
+// The persistent log of the tracks that were on air, stored as an array of
+// {time, artist, title, album, license, mount} objects in history.json.
+function radiognuSongHistory(aAccount) {
+  this._account = aAccount;
+  this._accountId = aAccount.imAccount.id;
+  this.entries = [];
+  this._load();
+}
+radiognuSongHistory.prototype = {
+  // Only the most recent tracks are kept.
+  _kMaxLength: 5000,
+  // Group the writes to the disk.
+  _kSaveDelay: 10 * 1000,
+  _kFileName: "history.json",
+  _loaded: false,
+  _saveTimer: null,
+  entries: null,
+
+  _load: function() {
+    readAccountFile(this._accountId, this._kFileName).then(aEntries => {
+      // Tracks added while loading are the most recent ones.
+      if (Array.isArray(aEntries))
+        this.entries = aEntries.concat(this.entries).slice(-this._kMaxLength);
+      this._loaded = true;
+    }).catch(aError => {
+      this._account.ERROR("Failed to load the song history: " + aError);
+      // Don't overwrite a history that could not be read.
+    });
+  },
+
+  add: function(aTrack) {
+    this.entries.push({
+      time: aTrack.since,
+      artist: aTrack.artist,
+      title: aTrack.title,
+      album: aTrack.album,
+      license: aTrack.license,
+      mount: kStreamMounts[aTrack.quality] || ""
+    });
+    if (this.entries.length > this._kMaxLength)
+      this.entries.splice(0, this.entries.length - this._kMaxLength);
+
+    if (!this._saveTimer)
+      this._saveTimer = setTimeout(this.save.bind(this), this._kSaveDelay);
+  },
+
+  save: function() {
+    clearTimeout(this._saveTimer);
+    delete this._saveTimer;
+    if (!this._loaded)
+      return;
+    writeAccountFile(this._accountId, this._kFileName, this.entries)
+      .catch(aError =>
+        this._account.ERROR("Failed to save the song history: " + aError));
+  },
+
+  // Returns the aCount most recent entries, the oldest first.
+  getLast: function(aCount) this.entries.slice(-aCount),
+
+  toCSV: function() {
+    const kFields = ["time", "artist", "title", "album", "license", "mount"];
+    // Quote the fields containing separators, quotes or line breaks.
+    let quote = function(aValue) {
+      let value = String(aValue);
+      if (!/[",\r\n]/.test(value))
+        return value;
+      return '"' + value.replace(/"/g, '""') + '"';
+    };
+    let lines = [kFields.join(",")];
+    for (let entry of this.entries) {
+      lines.push(kFields.map(aField =>
+        quote(aField == "time" ? new Date(entry.time).toISOString()
+                               : entry[aField])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+  },
+
+  // Writes the history to the downloads directory in aFormat ("csv" or
+  // "json"). Returns a promise for the path of the file.
+  exportTo: function(aFormat) {
+    let data = aFormat == "csv" ? this.toCSV()
+                                : JSON.stringify(this.entries, null, 2);
+    let date = new Date().toISOString().slice(0, 10);
+    return Downloads.getPreferredDownloadsDirectory().then(aDir => {
+      let path = OS.Path.join(aDir, "radiognu-historial-" + date + "." + aFormat);
+      return writeTextFile(path, data).then(() => path);
+    });
+  }
+};
+
+// The programme of the station, loaded from the iCalendar file given by the
+// scheduleURL account option (a URL or a local path).
+function radiognuSchedule(aAccount) {
+  this._account = aAccount;
+  this.events = [];
+  this._reminded = new Set();
+}
+radiognuSchedule.prototype = {
+  // Reload the schedule this often (in ms).
+  _kRefreshInterval: 6 * 60 * 60 * 1000,
+  // Look for shows starting or ending this often (in ms).
+  _kCheckInterval: 60 * 1000,
+  _refreshTimer: null,
+  _checkTimer: null,
+  _request: null,
+  // The shows, as returned by parseICalendar.
+  events: null,
+  // The occurrence of the show on air as {event, start, end}, or null.
+  currentShow: null,
+
+  start: function() {
+    this.stop();
+    this._load();
+    this._check();
+  },
+  stop: function() {
+    clearTimeout(this._refreshTimer);
+    delete this._refreshTimer;
+    clearTimeout(this._checkTimer);
+    delete this._checkTimer;
+    if (this._request) {
+      let request = this._request;
+      delete this._request;
+      request.abort();
+    }
+    delete this.currentShow;
+  },
+
+  _load: function() {
+    this._refreshTimer =
+      setTimeout(this._load.bind(this), this._kRefreshInterval);
+    let source = this._account.getString("scheduleURL").trim();
+    if (!source) {
+      this.events = [];
+      return;
+    }
+
+    let onLoad = aText => {
+      this.events = parseICalendar(aText);
+      this._account.LOG("Loaded " + this.events.length + " shows from " +
+                        source);
+      this._check();
+    };
+    let onError = aError =>
+      this._account.WARN("Failed to load the schedule from " + source + ": " +
+                         aError);
+
+    // Ignore the results of a request that was cancelled.
+    let request = fetchText(this._account, source, aText => {
+      if (this._request != request)
+        return;
+      delete this._request;
+      onLoad(aText);
+    }, aError => {
+      if (this._request != request)
+        return;
+      delete this._request;
+      onError(aError);
+    });
+    this._request = request;
+  },
+
+  // Returns the next aCount occurrences of shows in the coming week, starting
+  // with the one on air.
+  getUpcoming: function(aCount) {
+    const kWeek = 7 * 24 * 60 * 60 * 1000;
+    let now = new Date();
+    return getOccurrences(this.events, now, new Date(now.getTime() + kWeek))
+             .slice(0, aCount);
+  },
+
+  isFavorite: function(aShow) {
+    let show = aShow.trim().toLowerCase();
+    return this.getFavorites().some(aFavorite => aFavorite.toLowerCase() == show);
+  },
+  getFavorites: function()
+    this._account.getString("favoriteShows").split(",")
+        .map(aShow => aShow.trim()).filter(aShow => !!aShow),
+  // Star or unstar a show (aFavorite is a boolean).
+  setFavorite: function(aShow, aFavorite) {
+    let favorites = this.getFavorites().filter(aStarred =>
+      aStarred.toLowerCase() != aShow.trim().toLowerCase());
+    if (aFavorite)
+      favorites.push(aShow.trim());
+    this._account.setString("favoriteShows", favorites.join(", "));
+  },
+
+  // Keep track of the show on air and remind the user of their starred shows.
+  _check: function() {
+    clearTimeout(this._checkTimer);
+    this._checkTimer =
+      setTimeout(this._check.bind(this), this._kCheckInterval);
+
+    let now = new Date();
+    let reminderDelay =
+      Math.max(this._account.getInt("reminderMinutes"), 0) * 60 * 1000;
+    let occurrences =
+      getOccurrences(this.events, now, new Date(now.getTime() + reminderDelay + 1));
+
+    let previous = this.currentShow;
+    let current = occurrences.find(aShow => aShow.start <= now) || null;
+    if ((current && current.event.summary) !=
+        (previous && previous.event.summary)) {
+      this.currentShow = current;
+      this._account.onShowChanged(previous, current);
+    }
+    else if (current)
+      this.currentShow = current;
+
+    if (!reminderDelay)
+      return;
+    for (let show of occurrences) {
+      let key = show.event.summary + "@" + show.start.getTime();
+      if (show.start <= now || this._reminded.has(key) ||
+          !this.isFavorite(show.event.summary))
+        continue;
+      this._reminded.add(key);
+      this._account.remindShow(show);
+    }
+  }
+};
+
+// The catalog of the freely licensed music played by the station, as an array
+// of {artist, title, license} objects. It is read from the JSON file given by
+// the catalogURL account option (a URL or a local path), and cached in
+// catalog.json so that song requests can be checked offline.
+function radiognuCatalog(aAccount) {
+  this._account = aAccount;
+  this._accountId = aAccount.imAccount.id;
+  this.tracks = [];
+  readAccountFile(this._accountId, this._kFileName).then(aCache => {
+    // Don't replace a catalog that was refreshed meanwhile.
+    if (!aCache || this._lastUpdate)
+      return;
+    this.tracks = this._validateTracks(aCache.tracks);
+    this._lastUpdate = Number(aCache.time) || 0;
+  }).catch(aError =>
+    this._account.WARN("Failed to read the cached catalog: " + aError));
+}
+radiognuCatalog.prototype = {
+  _kFileName: "catalog.json",
+  // Refresh the catalog once a day.
+  _kRefreshInterval: 24 * 60 * 60 * 1000,
+  _lastUpdate: 0,
+  tracks: null,
+
+  refresh: function() {
+    let source = this._account.getString("catalogURL").trim();
+    if (!source || Date.now() - this._lastUpdate < this._kRefreshInterval)
+      return;
+    fetchText(this._account, source, aText => {
+      let tracks;
+      try {
+        tracks = this._validateTracks(JSON.parse(aText));
+      } catch (e) {
+        this._account.WARN("Invalid catalog received from " + source + ": " + e);
+        return;
+      }
+      this.tracks = tracks;
+      this._lastUpdate = Date.now();
+      this._account.LOG("Loaded " + this.tracks.length + " tracks from " +
+                        source);
+      writeAccountFile(this._accountId, this._kFileName,
+                       {time: this._lastUpdate, tracks: this.tracks})
+        .catch(aError =>
+          this._account.ERROR("Failed to cache the catalog: " + aError));
+    }, aError =>
+      this._account.WARN("Failed to load the catalog from " + source + ": " +
+                         aError));
+  },
+
+  // Returns the tracks of a catalog, fetched or cached, that have an artist
+  // and a title. Throws if the catalog is not a list.
+  _validateTracks: function(aTracks) {
+    if (!Array.isArray(aTracks))
+      throw new Error("The catalog is not a list of tracks.");
+    return aTracks.filter(aTrack =>
+      aTrack && typeof aTrack.artist == "string" &&
+      typeof aTrack.title == "string"
+    ).map(aTrack => ({
+      artist: aTrack.artist.trim(),
+      title: aTrack.title.trim(),
+      license: typeof aTrack.license == "string" ? aTrack.license.trim() : ""
+    }));
+  },
+
+  // Checks a song request of the form "<artist> - <title>" against the
+  // catalog. Returns an object with either the track of the catalog that was
+  // requested, or the reason why the request is refused ("unknown" or
+  // "notFree") and the closest free track to suggest, if any.
+  check: function(aRequest) {
+    let getText = aTrack => aTrack.artist + " - " + aTrack.title;
+    let match = findClosest(aRequest, this.tracks, getText);
+    if (match && match.score >= kMinSongRequestScore &&
+        isFreeLicense(match.item.license))
+      return {track: match.item};
+
+    let reason = match && match.score >= kMinSongRequestScore ? "notFree"
+                                                               : "unknown";
+    let freeTracks = this.tracks.filter(aTrack => isFreeLicense(aTrack.license));
+    let suggestion = findClosest(aRequest, freeTracks, getText);
+    return {reason: reason, suggestion: suggestion && suggestion.item};
+  }
+};
+
+// The commands of Gnoll, the bot of the RadioGNU channels, as the bot
+// describes them when it is sent kBotHelpCommand.
+const kDefaultBotCommands = [
+  {name: "sonando", args: "", description: "dice lo que suena por la radio"},
+  {name: "cuantos", args: "",
+   description: "dice cuantos pelagatos escuchan esto"},
+  {name: "hablaclaro", args: "persona",
+   description: "le dice un mensaje agradable a \"persona\""},
+  {name: "sl", args: "", description: "dice frases célebres de RMS"},
+  {name: "dedicatoria", args: "persona",
+   description: "le dice un poema a \"persona\""}
+];
+const kBotHelpCommand = "ayuda";
+// The replies of the bot are expected within this delay (in ms) of the command
+// or of the previous line of the reply.
+const kBotReplyTimeout = 10 * 1000;
+// The names of the bot commands registered as slash commands.
+var gBotCommandNames = new Set();
+
+// Sends the bot command aName, with the arguments aArgs, to the channel of the
+// conversation aConv. Returns false if aArgs is missing although aNeedsArgs.
+function runBotCommand(aConv, aName, aArgs, aNeedsArgs) {
+  let conv = aConv.wrappedJSObject;
+  let args = aArgs.trim();
+  if (aNeedsArgs && !args)
+    return false;
+  let bot = conv._account.bot;
+  if (!bot.isInChannel(conv)) {
+    conv.writeMessage("radiognu", _radio("message.bot.absent", bot.nick),
+                      {system: true, noLog: true, error: true});
+    return true;
+  }
+  bot.send(conv, aName, args);
+  return true;
+}
+
+// Talks to Gnoll, sending it its "!" commands and capturing its replies. The
+// list of commands is cached in gnoll.json, see refresh.
+function radiognuBot(aAccount) {
+  this._account = aAccount;
+  this._accountId = aAccount.imAccount.id;
+  this.commands = kDefaultBotCommands;
+  readAccountFile(this._accountId, this._kFileName).then(aCommands => {
+    if (!aCommands || this._refreshed)
+      return;
+    this.commands = aCommands;
+    this.registerCommands();
+  }).catch(aError =>
+    this._account.WARN("Failed to read the commands of the bot: " + aError));
+}
+radiognuBot.prototype = {
+  _kFileName: "gnoll.json",
+  // The known commands of the bot, as {name, args, description} objects.
+  commands: null,
+  // The command waiting for a reply, as {conv, name, commands} where commands
+  // is only set when the list of commands is being refreshed.
+  _request: null,
+  _requestTimer: null,
+  // Whether the commands were refreshed since the account was loaded.
+  _refreshed: false,
+
+  get nick() this._account.getString("botNick").trim(),
+  isBot: function(aNick)
+    !!this.nick &&
+    this._account.normalizeNick(aNick) == this._account.normalizeNick(this.nick),
+  isInChannel: function(aConv)
+    !!this.nick && aConv.isChat && !aConv.left &&
+    aConv._participants.has(this.nick),
+
+  send: function(aConv, aName, aArgs) {
+    aConv.sendMsg("!" + aName + (aArgs ? " " + aArgs : ""));
+    this._startRequest({conv: aConv, name: aName});
+  },
+  // Ask the bot for its commands, privately.
+  refresh: function(aConv) {
+    this._account.sendMessage("PRIVMSG", [this.nick, "!" + kBotHelpCommand]);
+    this._startRequest({conv: aConv, name: kBotHelpCommand, commands: []});
+  },
+  cancel: function() {
+    clearTimeout(this._requestTimer);
+    delete this._requestTimer;
+    delete this._request;
+  },
+  _startRequest: function(aRequest) {
+    this.cancel();
+    this._request = aRequest;
+    this._waitForReply();
+  },
+  _waitForReply: function() {
+    clearTimeout(this._requestTimer);
+    this._requestTimer = setTimeout(() => {
+      let request = this._request;
+      this.cancel();
+      if (request.commands)
+        this._gotCommands(request.conv, request.commands);
+    }, kBotReplyTimeout);
+  },
+
+  // Handles a PRIVMSG or NOTICE, returns true if it was a reply of the bot to
+  // the pending request.
+  handleMessage: function(aMessage) {
+    let request = this._request;
+    let [target, text] = aMessage.params;
+    // CTCP messages are left to the CTCP handlers.
+    if (!request || !this.isBot(aMessage.origin) || !text || text[0] == "\x01")
+      return false;
+    // Only the replies in the channel of the request (or private ones) count.
+    if (this._account.isMUCName(target) &&
+        this._account.normalize(target) !=
+          this._account.normalize(request.conv.name))
+      return false;
+    if (!this._isOpen(request.conv))
+      return false;
+
+    this._waitForReply();
+    if (request.commands) {
+      // Each command is described as "!<name> [<args>] ---> <description>".
+      let match = /^!(\S+)\s*(.*?)\s*-+>\s*(.*)$/.exec(text.trim());
+      if (match)
+        request.commands.push({name: match[1].toLowerCase(), args: match[2],
+                               description: match[3]});
+      return true;
+    }
+    request.conv.writeMessage(aMessage.origin,
+                              _radio("message.bot.reply", "!" + request.name,
+                                     text),
+                              {system: true});
+    return true;
+  },
+
+  _gotCommands: function(aConv, aCommands) {
+    let msg;
+    if (!aCommands.length)
+      msg = _radio("message.bot.noCommands", this.nick);
+    else {
+      this._refreshed = true;
+      this.commands = aCommands;
+      this.registerCommands();
+      writeAccountFile(this._accountId, this._kFileName, aCommands)
+        .catch(aError =>
+          this._account.ERROR("Failed to save the commands of the bot: " +
+                              aError));
+      msg = this.getCommandsMessage();
+    }
+    if (this._isOpen(aConv))
+      aConv.writeMessage("radiognu", msg, {system: true, noLog: true});
+  },
+  _isOpen: function(aConv)
+    this._account.conversations.get(aConv.name) == aConv,
+
+  // Makes each command of the bot available as a slash command, unless a
+  // command with the same name already exists.
+  registerCommands: function() {
+    let protocol = this._account.protocol;
+    for (let command of this.commands) {
+      let name = command.name;
+      if (gBotCommandNames.has(name) ||
+          protocol.commands.some(aCommand => aCommand.name == name))
+        continue;
+      let usage = name + (command.args ? " <" + command.args + ">" : "");
+      let needsArgs = !!command.args;
+      Services.cmd.registerCommand({
+        name: name,
+        helpString: _radio("command.bot", usage, command.description),
+        usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+        run: (aMsg, aConv) => runBotCommand(aConv, name, aMsg, needsArgs)
+      }, protocol.id);
+      gBotCommandNames.add(name);
+    }
+  },
+
+  getCommandsMessage: function() {
+    let lines = this.commands.map(aCommand =>
+      "!" + aCommand.name + (aCommand.args ? " " + aCommand.args : "") +
+      " ---> " + aCommand.description);
+    lines.unshift(_radio("message.bot.commands", this.nick));
+    return lines.join("\n");
+  }
+};
+
+// Handles the replies of Gnoll before they are displayed as regular messages.
+var ircGnoll = {
+  name: "RadioGNU Gnoll",
+  priority: ircHandlers.HIGH_PRIORITY,
+  isEnabled: function() this instanceof radiognuAccount,
+
+  commands: {
+    "NOTICE": function(aMessage) this.bot.handleMessage(aMessage),
+    "PRIVMSG": function(aMessage) this.bot.handleMessage(aMessage)
+  }
+};
+
+// SASL authentication (http://ircv3.net/specs/extensions/sasl-3.1.html) with
+// the mechanism chosen in the account options, these replace the handlers of
+// ircSASL.jsm for RadioGNU accounts.
+var capRadiognuSASL = {
+  name: "RadioGNU SASL CAP",
+  priority: ircHandlers.HIGH_PRIORITY,
+  isEnabled: function() this instanceof radiognuAccount,
+
+  commands: {
+    "sasl": function(aMessage) {
+      let mechanism = this.saslMechanism;
+      if (aMessage.cap.subcommand == "LS" && mechanism) {
+        this.sendMessage("CAP", ["REQ", "sasl"]);
+        this.addCAP("sasl");
+      }
+      else if (aMessage.cap.subcommand == "ACK") {
+        // The mechanism may have been unset since it was requested, e.g. the
+        // password was cleared, or it may have never been requested.
+        if (mechanism)
+          this.sendMessage("AUTHENTICATE", mechanism.toUpperCase());
+        else if (this._caps.has("sasl"))
+          this.removeCAP("sasl");
+      }
+      else if (aMessage.cap.subcommand == "NAK")
+        this.saslFailed(_radio("sasl.error.refused"));
+      return true;
+    }
+  }
+};
+
+var ircRadiognuSASL = {
+  name: "RadioGNU SASL AUTHENTICATE",
+  priority: ircHandlers.HIGH_PRIORITY,
+  isEnabled: function() this instanceof radiognuAccount,
+
+  commands: {
+    "AUTHENTICATE": function(aMessage) {
+      const kChunkLength = 400;
+      // Expect an empty challenge, abort if something different is received.
+      if (aMessage.params[0] != "+") {
+        this.sendMessage("AUTHENTICATE", "*");
+        this.WARN("Aborting SASL authentication, unexpected message " +
+                  "received:\n" + aMessage.rawMessage);
+        return true;
+      }
+
+      // With EXTERNAL, the client certificate is the identity.
+      if (this.saslMechanism == "external") {
+        this.sendMessage("AUTHENTICATE", "+");
+        return true;
+      }
+
+      // The authorization identity, authentication identity and password are
+      // separated by null characters.
+      let nick = this._accountNickname;
+      let data = [nick, nick, this.imAccount.password].join("\0");
+      data = btoa(unescape(encodeURIComponent(data)));
+      // The payload is sent in chunks of 400 bytes, followed by an empty one
+      // if the last chunk is full.
+      for (let i = 0; i <= data.length; i += kChunkLength) {
+        this.sendMessage("AUTHENTICATE",
+                         data.slice(i, i + kChunkLength) || "+",
+                         "AUTHENTICATE <base64 encoded nick, user and " +
+                         "password not logged>");
+      }
+      return true;
+    },
+
+    "900": function(aMessage) { // RPL_LOGGEDIN
+      // <nick> <nick>!<ident>@<host> <account> :You are now logged in as <user>
+      this.LOG(aMessage.params[3]);
+      return true;
+    },
+    "901": function(aMessage) { // RPL_LOGGEDOUT
+      // <nick> <nick>!<ident>@<host> :You are now logged out
+      this.LOG(aMessage.params[2]);
+      return true;
+    },
+    "902": function(aMessage) { // ERR_NICKLOCKED
+      // <nick> :You must use a nick assigned to you
+      this.saslFailed(aMessage.params[1]);
+      return true;
+    },
+    "903": function(aMessage) { // RPL_SASLSUCCESS
+      // <nick> :SASL authentication successful
+      this.isAuthenticated = true;
+      this._saslAuthenticated = true;
+      this.removeCAP("sasl");
+      return true;
+    },
+    "904": function(aMessage) { // ERR_SASLFAIL
+      // <nick> :SASL authentication failed
+      this.saslFailed(aMessage.params[1]);
+      return true;
+    },
+    "905": function(aMessage) { // ERR_SASLTOOLONG
+      // <nick> :SASL message too long
+      this.saslFailed(aMessage.params[1]);
+      return true;
+    },
+    "906": function(aMessage) { // ERR_SASLABORTED
+      // <nick> :SASL authentication aborted
+      this.saslFailed(aMessage.params[1]);
+      return true;
+    },
+    "907": function(aMessage) { // ERR_SASLALREADY
+      // <nick> :You have already authenticated using SASL
+      this._saslAuthenticated = true;
+      this.removeCAP("sasl");
+      return true;
+    },
+    "908": function(aMessage) { // RPL_SASLMECHS
+      // <nick> <mechanisms> :are available SASL mechanisms
+      this.LOG("The server supports the SASL mechanisms: " +
+               aMessage.params[1]);
+      return true;
+    },
+
+    "001": function(aMessage) { // RPL_WELCOME
+      // Don't stay connected without authentication when SASL is required,
+      // e.g. because the server doesn't support it.
+      if (!this.getBool("requireSASL") || this._saslAuthenticated)
+        return false;
+      this.gotDisconnected(Ci.prplIAccount.ERROR_AUTHENTICATION_IMPOSSIBLE,
+                           _radio("sasl.error.required"));
+      return true;
+    }
+  }
+};
+
+// IRCv3 message tags, the tags are parsed by radiognuMessage.
+// Returns a CAP handler requesting the capability aName if it is supported,
+// the acknowledged capabilities are added to the enabledCAPs of the account.
+function requestCAP(aName) {
+  return function(aMessage) {
+    if (aMessage.cap.subcommand == "LS") {
+      this.sendMessage("CAP", ["REQ", aName]);
+      this.addCAP(aName);
+    }
+    else if (aMessage.cap.subcommand == "ACK") {
+      this.enabledCAPs.add(aName);
+      this.removeCAP(aName);
+    }
+    else if (aMessage.cap.subcommand == "NAK")
+      this.removeCAP(aName);
+    else
+      return false;
+    return true;
+  };
+}
+
+var capMessageTags = {
+  name: "RadioGNU message-tags CAP",
+  priority: ircHandlers.DEFAULT_PRIORITY,
+  isEnabled: function() this instanceof radiognuAccount,
+
+  commands: {
+    "message-tags": requestCAP("message-tags")
+  }
+};
+
+var ircMessageTags = {
+  name: "RadioGNU message-tags",
+  priority: ircHandlers.DEFAULT_PRIORITY,
+  isEnabled: function()
+    this instanceof radiognuAccount && this.enabledCAPs.has("message-tags"),
+
+  commands: {
+    // Messages carrying only tags, e.g. client-only tags. Unknown tags are
+    // ignored.
+    "TAGMSG": function(aMessage) {
+      // Sent to a channel or to us.
+      let target = aMessage.params[0];
+      if (!this.isMUCName(target))
+        target = aMessage.origin;
+      let conv = this.conversations.get(target);
+      if (!conv)
+        return true;
+
+      let tags = aMessage.tags;
+      let isHistory = this.isHistoryMessage(aMessage);
+      if (tags.has("+draft/react") && tags.has("+draft/reply") && conv.isChat) {
+        conv.gotReaction(aMessage.origin, tags.get("+draft/reply"),
+                         tags.get("+draft/react"), isHistory);
+      }
+      if (tags.has("+typing") && !isHistory &&
+          this.normalizeNick(aMessage.origin) !=
+            this.normalizeNick(this._nickname))
+        conv.setTyping(aMessage.origin, tags.get("+typing"));
+      return true;
+    }
+  }
+};
+
+// The recent messages of the channels are requested when joining them, with
+// chathistory (http://ircv3.net/specs/extensions/chathistory) or the playback
+// module of ZNC. Their time is given by the server-time tag.
+var capHistory = {
+  name: "RadioGNU history CAP",
+  priority: ircHandlers.DEFAULT_PRIORITY,
+  isEnabled: function() this instanceof radiognuAccount,
+
+  commands: {
+    "server-time": requestCAP("server-time"),
+    "znc.in/server-time-iso": requestCAP("znc.in/server-time-iso"),
+    "batch": requestCAP("batch"),
+    "draft/chathistory": requestCAP("draft/chathistory"),
+    "znc.in/playback": requestCAP("znc.in/playback")
+  }
+};
+
+var ircHistory = {
+  name: "RadioGNU history",
+  priority: ircHandlers.HIGH_PRIORITY,
+  isEnabled: function() this instanceof radiognuAccount,
+
+  commands: {
+    "BATCH": function(aMessage) {
+      // BATCH (+|-)<reference> [<type> [<parameter>]*]
+      let reference = aMessage.params[0];
+      if (reference[0] == "+") {
+        this.batches.set(reference.slice(1),
+                         {type: aMessage.params[1],
+                          params: aMessage.params.slice(2),
+                          label: aMessage.tags.get("label")});
+      }
+      else
+        this.batches.delete(reference.slice(1));
+      return true;
+    },
+    "JOIN": function(aMessage) {
+      // Request the recent messages of the channels we join, then let the
+      // other handlers handle the JOIN.
+      if (this.normalizeNick(aMessage.origin) ==
+          this.normalizeNick(this._nickname)) {
+        for (let channel of aMessage.params[0].split(","))
+          this.requestHistory(channel);
+      }
+      return false;
+    }
+  }
+};
+
+// With echo-message the server sends our messages back once it has delivered
+// them, and with labeled-response its replies to our messages are labeled,
+// e.g. the errors. See radiognuAccount.sendEchoedMessage.
+var capEchoMessage = {
+  name: "RadioGNU echo-message CAP",
+  priority: ircHandlers.DEFAULT_PRIORITY,
+  isEnabled: function() this instanceof radiognuAccount,
+
+  commands: {
+    "echo-message": requestCAP("echo-message"),
+    "labeled-response": requestCAP("labeled-response")
+  }
+};
+
+function echoedMessage(aMessage) {
+  // Our messages in the history are displayed as the other ones.
+  if (this.normalizeNick(aMessage.origin) !=
+        this.normalizeNick(this._nickname) ||
+      this.isHistoryMessage(aMessage))
+    return false;
+  let [target, text] = aMessage.params;
+  // The CTCP messages (e.g. actions) we send are already displayed.
+  if (text[0] == "\x01")
+    return true;
+  this.gotEcho(target, text, this.getLabel(aMessage));
+  return true;
+}
+function deliveryError(aMessage) {
+  // <nick> <target> :<reason>
+  return this.gotDeliveryError(this.getLabel(aMessage), aMessage.params[1],
+                               aMessage.params.slice(-1)[0]);
+}
+var ircEchoMessage = {
+  name: "RadioGNU echo-message",
+  priority: ircHandlers.HIGH_PRIORITY,
+  isEnabled: function()
+    this instanceof radiognuAccount && this.enabledCAPs.has("echo-message"),
+
+  commands: {
+    "PRIVMSG": echoedMessage,
+    "NOTICE": echoedMessage,
+    "401": deliveryError, // ERR_NOSUCHNICK
+    "404": deliveryError, // ERR_CANNOTSENDTOCHAN
+    // The server acknowledges a labeled message it has no reply to.
+    "ACK": function(aMessage) !!this.getLabel(aMessage)
+  }
+};
+
+function radiognuAccountBuddy(aAccount, aBuddy, aTag, aUserName) {
+  this._init(aAccount, aBuddy, aTag, aUserName);
+}
+radiognuAccountBuddy.prototype = {
+  __proto__: GenericAccountBuddyPrototype,
+
+  // Returns a list of imITooltipInfo objects to be displayed when the user
+  // hovers over the buddy.
+  getTooltipInfo: function() this._account.getBuddyInfo(this.normalizedName),
+
+  // Allow sending of messages to buddies even if they are not online since IRC
+  // does not always provide status information in a timely fashion. (Note that
+  // this is OK since the server will throw an error if the user is not online.)
+  get canSendMessage() this.account.connected,
+
+  // Called when the user wants to chat with the buddy.
+  createConversation: function() this._account.createConversation(this.userName),
+
+  remove: function() {
+    this._account.removeBuddy(this);
+    GenericAccountBuddyPrototype.remove.call(this);
+  }
+};
+
+function radiognuAccount(aProtocol, aImAccount) {
+  this._init(aProtocol, aImAccount);
+  this.buddies = new NormalizedMap(this.normalizeNick.bind(this));
+  this.conversations = new NormalizedMap(this.normalize.bind(this));
+
+  // Split the account name into usable parts.
   let splitter = this.name.lastIndexOf("@");
   this._accountNickname = this.name.slice(0, splitter);
   this._server = this.name.slice(splitter + 1);
@@ -802,8 +2800,18 @@ function radiognuAccount(aProtocol, aImAccount) {
   this.pendingIsOnQueue = [];
   this.whoisInformation = new NormalizedMap(this.normalizeNick.bind(this));
   this._caps = new Set();
+  this.enabledCAPs = new Set();
+  this.batches = new Map();
+  this._echoQueue = [];
   this._commandBuffers = new Map();
   this._roomInfoCallbacks = new Set();
+  this.listenerHistory = [];
+  this.player = new radiognuPlayer(this);
+  this.trackReader = new radiognuTrackReader(this);
+  this.songHistory = new radiognuSongHistory(this);
+  this.schedule = new radiognuSchedule(this);
+  this.catalog = new radiognuCatalog(this);
+  this.bot = new radiognuBot(this);
 }
 radiognuAccount.prototype = {
   __proto__: GenericAccountPrototype,
@@ -919,6 +2927,78 @@ radiognuAccount.prototype = {
       this.sendMessage("AWAY"); // Mark as back.
   },
 
+  // Store a string in the account options, unlike the char prefs, this keeps
+  // non ASCII characters.
+  setString: function(aName, aValue) {
+    let str = Cc["@mozilla.org/supports-string;1"]
+                .createInstance(Ci.nsISupportsString);
+    str.data = aValue;
+    this.prefs.setComplexValue(aName, Ci.nsISupportsString, str);
+  },
+
+  // The pinned certificates of the account, stored in the certPins pref (which
+  // isn't an option) as a JSON object of {fingerprint, issuer, time} objects
+  // indexed by "<server>:<port>".
+  _getCertificatePins: function() {
+    if (!this.prefs.prefHasUserValue("certPins"))
+      return {};
+    try {
+      return JSON.parse(this.prefs.getComplexValue("certPins",
+                                                   Ci.nsISupportsString).data);
+    } catch (e) {
+      this.ERROR("Failed to read the pinned certificates: " + e);
+      return {};
+    }
+  },
+  getCertificatePin: function(aHost, aPort)
+    this._getCertificatePins()[aHost + ":" + aPort] || null,
+  pinCertificate: function(aHost, aPort, aCert) {
+    let pins = this._getCertificatePins();
+    pins[aHost + ":" + aPort] = {
+      fingerprint: aCert.sha256Fingerprint,
+      issuer: aCert.issuerOrganization || aCert.issuerCommonName ||
+              aCert.issuerName,
+      time: Date.now()
+    };
+    this.setString("certPins", JSON.stringify(pins));
+    this.LOG("Pinned the certificate of " + aHost + ":" + aPort + ".");
+  },
+  // Forgets the pinned certificates, the next certificates will have to be
+  // accepted again.
+  resetCertificatePins: function() {
+    let overrideService = Cc["@mozilla.org/security/certoverride;1"]
+                            .getService(Ci.nsICertOverrideService);
+    let pins = this._getCertificatePins();
+    for (let server in pins) {
+      let splitter = server.lastIndexOf(":");
+      overrideService.clearValidityOverride(server.slice(0, splitter),
+                                            Number(server.slice(splitter + 1)));
+    }
+    if (this.prefs.prefHasUserValue("certPins"))
+      this.prefs.clearUserPref("certPins");
+  },
+  // Tells the user how to accept the untrusted certificate of a server.
+  getUntrustedCertificateMessage: function(aHost, aPort, aCert) {
+    let issuer = aCert.issuerOrganization || aCert.issuerCommonName ||
+                 aCert.issuerName;
+    return _radio("certificate.untrusted", aHost + ":" + aPort,
+                  aCert.sha256Fingerprint, issuer);
+  },
+  getCertificatePinsMessage: function() {
+    let pins = this._getCertificatePins();
+    let servers = Object.keys(pins);
+    if (!servers.length)
+      return _radio("message.certificate.none");
+    let lines = servers.map(aServer => {
+      let pin = pins[aServer];
+      let time = new Date(pin.time).toLocaleString();
+      return _radio("message.certificate.entry", aServer, pin.fingerprint,
+                    pin.issuer, time);
+    });
+    lines.unshift(_radio("message.certificate"));
+    return lines.join("\n");
+  },
+
   // The user's user mode.
   _modes: null,
   _userModeReceived: false,
@@ -1190,6 +3270,16 @@ radiognuAccount.prototype = {
     else if ("lastActivity" in whoisInformation &&
              whoisInformation["lastActivity"] > kSetIdleStatusAfterSeconds)
       statusType = Ci.imIStatusInfo.STATUS_IDLE;
+    if (this.isHost(aNick))
+      tooltipInfo.push(new TooltipInfo(_radio("tooltip.host"), _("yes")));
+    // The track on air is only shown to the user, in the tooltip of their own
+    // nick: the status of the user is shared by all their accounts.
+    if (this.nowPlaying && this.getBool("trackAsStatus") &&
+        this.normalizeNick(aNick) == this.normalizeNick(this._nickname)) {
+      tooltipInfo.push(new TooltipInfo(_radio("tooltip.listening"),
+                                       formatTrack(this.nowPlaying)));
+    }
+
     tooltipInfo.push(new TooltipInfo(statusType, statusText, true));
 
     return new nsSimpleEnumerator(tooltipInfo);
@@ -1279,6 +3369,15 @@ radiognuAccount.prototype = {
     this.removeBuddyInfo(aOldNick);
     this.setWhois(aNewNick);
 
+    // The questions asked before the nick change can still be answered, and
+    // the votes still count.
+    this.conversations.forEach(conversation => {
+      if (conversation.isChat) {
+        conversation.renameAsker(aOldNick, aNewNick);
+        conversation.renameVoter(aOldNick, aNewNick);
+      }
+    });
+
     // If a private conversation is open with that user, change its title.
     if (this.conversations.has(aOldNick)) {
       // Get the current conversation and rename it.
@@ -1454,49 +3553,514 @@ radiognuAccount.prototype = {
         this._isOnLength = this.maxMessageLength - length + 1;
       }
 
-      // Always add the next nickname to the pending queue, this handles a silly
-      // case where the next nick is greater than or equal to the maximum
-      // message length.
-      this.pendingIsOnQueue = [this.trackQueue.shift()];
+      // Always add the next nickname to the pending queue, this handles a silly
+      // case where the next nick is greater than or equal to the maximum
+      // message length.
+      this.pendingIsOnQueue = [this.trackQueue.shift()];
+
+      // Attempt to maximize the characters used in each message, this may mean
+      // that a specific user gets sent very often since they have a short name!
+      let buddiesLength = this.countBytes(this.pendingIsOnQueue[0]);
+      for (let i = 0; i < this.trackQueue.length; ++i) {
+        // If we can fit the nick, add it to the current buffer.
+        if ((buddiesLength + this.countBytes(this.trackQueue[i])) < this._isOnLength) {
+          // Remove the name from the list and add it to the pending queue.
+          let nick = this.trackQueue.splice(i--, 1)[0];
+          this.pendingIsOnQueue.push(nick);
+
+          // Keep track of the length of the string, the + 1 is for the spaces.
+          buddiesLength += this.countBytes(nick) + 1;
+
+          // If we've filled up the message, stop looking for more nicks.
+          if (buddiesLength >= this._isOnLength)
+            break;
+        }
+      }
+
+      // Send the message.
+      this.sendMessage("ISON", this.pendingIsOnQueue.join(" "));
+
+      // Append the pending nicks so trackQueue contains all the nicks.
+      this.trackQueue = this.trackQueue.concat(this.pendingIsOnQueue);
+    }
+
+    // Call this function again in _isOnDelay seconds.
+    // This makes the assumption that this._isOnDelay >> the response to ISON
+    // from the server.
+    this._isOnTimer = setTimeout(this.sendIsOn.bind(this), this._isOnDelay);
+  },
+
+  // The message of the day uses two fields to append messages.
+  _motd: null,
+  _motdTimer: null,
+
+  // The Icecast status of the streams, indexed by quality (see kStreamMounts).
+  // Each value is an object with the listeners count and the track played on
+  // that mount (or null).
+  streamStatus: null,
+  // The track currently on air as {artist, title, album, license, quality,
+  // since}, or null if it is unknown. Only the stream metadata (see
+  // radiognuTrackReader) provides the album and license.
+  nowPlaying: null,
+  // Samples of the total number of listeners, as {time, listeners} objects
+  // ordered by time. Only the last kListenerHistoryLength ms are kept.
+  listenerHistory: [],
+  _statusRequest: null,
+  _statusTimer: null,
+  startStatusPolling: function() {
+    this.stopStatusPolling();
+    this._pollStatus();
+  },
+  stopStatusPolling: function() {
+    clearTimeout(this._statusTimer);
+    delete this._statusTimer;
+    if (this._statusRequest) {
+      let request = this._statusRequest;
+      delete this._statusRequest;
+      request.abort();
+    }
+  },
+  _pollStatus: function() {
+    let url = this.getString("statusURL");
+    if (!url)
+      return;
+
+    let request;
+    let scheduleNextPoll = () => {
+      delete this._statusRequest;
+      let interval = Math.max(this.getInt("statusInterval"), kMinStatusInterval);
+      this._statusTimer =
+        setTimeout(this._pollStatus.bind(this), interval * 1000);
+    };
+    request = httpRequest(url, {
+      onLoad: aResponse => {
+        // Ignore the responses of cancelled requests.
+        if (this._statusRequest != request)
+          return;
+        scheduleNextPoll();
+        this._handleStatus(aResponse);
+      },
+      onError: aError => {
+        if (this._statusRequest != request)
+          return;
+        this.WARN("Failed to fetch the stream status from " + url + ": " +
+                  aError);
+        scheduleNextPoll();
+      },
+      logger: {log: this.LOG.bind(this), debug: this.DEBUG.bind(this)}
+    });
+    this._statusRequest = request;
+  },
+  // Parses the JSON status of an Icecast server (status-json.xsl).
+  _handleStatus: function(aResponse) {
+    let sources;
+    try {
+      sources = JSON.parse(aResponse).icestats.source;
+    } catch (e) {
+      this.WARN("Invalid stream status received: " + e);
+      return;
+    }
+    // Icecast returns a single object instead of an array when only one mount
+    // is online, and nothing when none is.
+    if (!sources)
+      sources = [];
+    else if (!Array.isArray(sources))
+      sources = [sources];
+
+    let status = new Map();
+    for (let source of sources) {
+      if (!source.listenurl)
+        continue;
+      let mount = source.listenurl.slice(source.listenurl.lastIndexOf("/") + 1);
+      for (let quality in kStreamMounts) {
+        if (kStreamMounts[quality] != mount)
+          continue;
+        status.set(quality, {
+          listeners: parseInt(source.listeners, 10) || 0,
+          track: parseIcecastTrack(source)
+        });
+      }
+    }
+    this.streamStatus = status;
+    this._recordListeners(status);
+    // The track reader is more accurate when it is running.
+    if (this.trackReader.running)
+      return;
+
+    // All the mounts relay the same audio, prefer the metadata of the default
+    // quality but fall back to any mount that has some.
+    let quality = kDefaultQuality;
+    if (!status.has(quality) || !status.get(quality).track) {
+      quality = [q for ([q, s] of status) if (s.track)][0];
+      if (!quality) {
+        this.setNowPlaying(null);
+        return;
+      }
+    }
+    this.setNowPlaying(status.get(quality).track, quality);
+  },
+  _recordListeners: function(aStatus) {
+    let now = Date.now();
+    let listeners = 0;
+    for (let [, mountStatus] of aStatus)
+      listeners += mountStatus.listeners;
+    this.listenerHistory.push({time: now, listeners: listeners});
+
+    // Drop the samples that are too old, the one just added is always kept.
+    let firstKept = this.listenerHistory.findIndex(aSample =>
+      now - aSample.time <= kListenerHistoryLength);
+    this.listenerHistory.splice(0, firstKept);
+  },
+  // Returns the {peak, average, samples, since} of the listener counts
+  // recorded since aSince (a timestamp in ms, defaults to the whole history),
+  // or null if no count was recorded in that time. since is the time of the
+  // first sample used.
+  getListenerStats: function(aSince = 0) {
+    let samples = this.listenerHistory.filter(aSample => aSample.time >= aSince);
+    if (!samples.length)
+      return null;
+    let counts = samples.map(aSample => aSample.listeners);
+    let sum = counts.reduce((aSum, aCount) => aSum + aCount, 0);
+    return {
+      peak: Math.max.apply(null, counts),
+      average: sum / counts.length,
+      samples: counts.length,
+      since: samples[0].time
+    };
+  },
+  getListenersMessage: function() {
+    if (!this.streamStatus || !this.streamStatus.size)
+      return _radio("message.listeners.unknown");
+
+    let total = 0;
+    let mounts = [];
+    for (let quality in kStreamMounts) {
+      if (!this.streamStatus.has(quality))
+        continue;
+      let listeners = this.streamStatus.get(quality).listeners;
+      total += listeners;
+      mounts.push(_radio("message.listeners.mount",
+                         _radio("quality." + quality), listeners));
+    }
+    let msg = _radio("message.listeners", mounts.join(", "), total);
+
+    // Compute the statistics of the current show if it is known.
+    let show = this.schedule.currentShow;
+    let stats = this.getListenerStats(show ? show.start.getTime() : 0);
+    if (stats) {
+      msg += "\n" + _radio("message.listeners.stats", stats.peak,
+                           stats.average.toFixed(1),
+                           Math.round((Date.now() - stats.since) / 60000));
+    }
+    return msg;
+  },
+  setNowPlaying: function(aTrack, aQuality) {
+    let previous = this.nowPlaying;
+    if (!aTrack) {
+      delete this.nowPlaying;
+      return;
+    }
+    if (previous && previous.artist == aTrack.artist &&
+        previous.title == aTrack.title)
+      return;
+
+    this.nowPlaying = {
+      artist: aTrack.artist,
+      title: aTrack.title,
+      album: aTrack.album || "",
+      license: aTrack.license || "",
+      quality: aQuality,
+      since: Date.now()
+    };
+    this.LOG("Now playing: " + formatTrack(aTrack));
+    this.songHistory.add(this.nowPlaying);
+    this.updateBroadcastTopics();
+
+    if (this._showServerTab) {
+      this.getConversation(this._currentServerName)
+          .writeMessage(this._currentServerName,
+                        _radio("message.nowPlaying", formatTrack(aTrack)),
+                        {system: true});
+    }
+
+    // Don't notify about the track that was on air when connecting.
+    if (previous && this.getBool("notifyTrackChange")) {
+      this.showNotification(_radio("notification.nowPlaying"),
+                            formatTrack(this.nowPlaying));
+    }
+  },
+  showNotification: function(aTitle, aText) {
+    try {
+      Cc["@mozilla.org/alerts-service;1"].getService(Ci.nsIAlertsService)
+        .showAlertNotification("chrome://prpl-radiognu/skin/icon48.png",
+                               aTitle, aText);
+    } catch (e) {
+      // The alerts service is not available on all platforms.
+      this.WARN("Unable to show a notification: " + e);
+    }
+  },
+
+  // Whether aNick hosts the shows according to the hostNicks option or the
+  // schedule of the show on air.
+  isHostNick: function(aNick) {
+    let hosts = this.getString("hostNicks").split(",");
+    if (this.schedule.currentShow)
+      hosts = hosts.concat(this.schedule.currentShow.event.hosts);
+    let nick = this.normalizeNick(aNick);
+    return hosts.some(aHost =>
+      !!aHost.trim() && this.normalizeNick(aHost.trim()) == nick);
+  },
+  // Whether aNick hosts the shows, in any of the channels.
+  isHost: function(aNick) {
+    if (this.isHostNick(aNick))
+      return true;
+    let isHost = false;
+    this.conversations.forEach(aConv => {
+      if (aConv.isChat && aConv.isHost(aNick))
+        isHost = true;
+    });
+    return isHost;
+  },
+
+  // The host mode: while the user broadcasts a show, this is an object with
+  // the name of the show and the names of the channels whose topic follows
+  // the track on air.
+  broadcast: null,
+  startBroadcast: function(aChannel, aShow) {
+    if (!this.broadcast || this.broadcast.show != aShow)
+      this.broadcast = {show: aShow, channels: new Set()};
+    this.broadcast.channels.add(this.normalize(aChannel.name));
+
+    let announcement = this.getString("onAirAnnouncement");
+    if (announcement)
+      aChannel.sendMsg(fillTemplate(announcement, this._getBroadcastFields()));
+    this.updateBroadcastTopics();
+  },
+  stopBroadcast: function() {
+    delete this.broadcast;
+  },
+  _getBroadcastFields: function() {
+    return {
+      show: this.broadcast.show,
+      track: this.nowPlaying ? formatTrack(this.nowPlaying)
+                             : _radio("topic.unknownTrack")
+    };
+  },
+  updateBroadcastTopics: function() {
+    if (!this.broadcast)
+      return;
+    let template = this.getString("topicTemplate");
+    if (!template)
+      return;
+    let topic = fillTemplate(template, this._getBroadcastFields());
+    for (let name of this.broadcast.channels) {
+      if (!this.conversations.has(name))
+        continue;
+      let channel = this.conversations.get(name);
+      if (!channel.left && channel.topicSettable && channel.topic != topic)
+        channel.topic = topic;
+    }
+  },
+
+  // The name of the show on air, or null.
+  get currentShow()
+    this.schedule.currentShow ? this.schedule.currentShow.event.summary : null,
+  // Called by the schedule when a show starts or ends (aPrevious and aCurrent
+  // are occurrences as returned by getOccurrences, or null).
+  onShowChanged: function(aPrevious, aCurrent) {
+    let msg = aCurrent ?
+      _radio("message.show.started", aCurrent.event.summary) :
+      _radio("message.show.ended", aPrevious.event.summary);
+    this.LOG(msg);
+    // Mark the show in the transcripts of the channels, and update the hosts.
+    this.conversations.forEach(aConv => {
+      if (!aConv.isChat)
+        return;
+      aConv.updateHosts();
+      if (!aConv.left)
+        aConv.writeMessage("radiognu", msg, {system: true});
+    });
+    if (this._showServerTab && this.connected) {
+      this.getConversation(this._currentServerName)
+          .writeMessage("radiognu", msg, {system: true});
+    }
+  },
+  remindShow: function(aShow) {
+    let minutes = Math.max(Math.round((aShow.start - Date.now()) / 60000), 1);
+    let text = PluralForm.get(minutes, _radio("notification.reminder.text"))
+                         .replace("#1", aShow.event.summary)
+                         .replace("#2", minutes);
+    this.showNotification(_radio("notification.reminder"), text);
+    if (this._showServerTab && this.connected) {
+      this.getConversation(this._currentServerName)
+          .writeMessage("radiognu", text, {system: true});
+    }
+  },
+  getScheduleMessage: function(aCount) {
+    let shows = this.schedule.getUpcoming(aCount);
+    if (!shows.length)
+      return _radio("message.schedule.empty");
+
+    let now = new Date();
+    const kTimeFormat = {hour: "2-digit", minute: "2-digit"};
+    const kDateFormat = {weekday: "long", hour: "2-digit", minute: "2-digit"};
+    let lines = shows.map(aShow => {
+      let key = aShow.start <= now ? "message.schedule.onAir"
+                                   : "message.schedule.entry";
+      let line = _radio(key, aShow.event.summary,
+                        aShow.start.toLocaleString(undefined, kDateFormat),
+                        aShow.end.toLocaleTimeString(undefined, kTimeFormat));
+      if (this.schedule.isFavorite(aShow.event.summary))
+        line = _radio("message.schedule.favorite", line);
+      return line;
+    });
+    lines.unshift(_radio("message.schedule"));
+    return lines.join("\n");
+  },
 
-      // Attempt to maximize the characters used in each message, this may mean
-      // that a specific user gets sent very often since they have a short name!
-      let buddiesLength = this.countBytes(this.pendingIsOnQueue[0]);
-      for (let i = 0; i < this.trackQueue.length; ++i) {
-        // If we can fit the nick, add it to the current buffer.
-        if ((buddiesLength + this.countBytes(this.trackQueue[i])) < this._isOnLength) {
-          // Remove the name from the list and add it to the pending queue.
-          let nick = this.trackQueue.splice(i--, 1)[0];
-          this.pendingIsOnQueue.push(nick);
+  getHistoryMessage: function(aCount) {
+    let entries = this.songHistory.getLast(aCount);
+    if (!entries.length)
+      return _radio("message.history.empty");
+
+    let today = new Date().toDateString();
+    let lines = entries.map(aEntry => {
+      let date = new Date(aEntry.time);
+      let time = date.toDateString() == today ? date.toLocaleTimeString()
+                                              : date.toLocaleString();
+      let track = formatTrack(aEntry);
+      if (aEntry.license)
+        track = _radio("message.history.license", track, aEntry.license);
+      return _radio("message.history.entry", time, track);
+    });
+    lines.unshift(PluralForm.get(entries.length, _radio("message.history"))
+                            .replace("#1", entries.length));
+    return lines.join("\n");
+  },
+  getNowPlayingMessage: function() {
+    if (!this.nowPlaying)
+      return _radio("message.nowPlaying.unknown");
+    return _radio("message.nowPlaying", formatTrack(this.nowPlaying));
+  },
 
-          // Keep track of the length of the string, the + 1 is for the spaces.
-          buddiesLength += this.countBytes(nick) + 1;
+  // Sends a report of a problem of the web portal to the staff (the
+  // reportTarget option) and saves a copy of it. Returns a promise for the
+  // report and the path of its copy.
+  sendReport: function(aCategory, aURL, aDescription) {
+    return Task.spawn(function* () {
+      let report = {
+        id: generateReportId(),
+        time: new Date().toISOString(),
+        reporter: this._nickname,
+        category: aCategory,
+        url: aURL,
+        description: aDescription
+      };
+      if (this.getBool("reportClientDetails")) {
+        let addon = yield new Promise(aResolve =>
+          AddonManager.getAddonByID(kAddonId, aResolve));
+        report.client = {
+          addonVersion: addon ? addon.version : "",
+          application: Services.appinfo.name + " " + Services.appinfo.version,
+          server: this._server,
+          port: this._port,
+          ssl: this._ssl
+        };
+      }
 
-          // If we've filled up the message, stop looking for more nicks.
-          if (buddiesLength >= this._isOnLength)
-            break;
-        }
+      let lines = [
+        _radio("report.header", report.id, report.category, report.reporter),
+        _radio("report.url", report.url),
+        _radio("report.description", report.description)
+      ];
+      if (report.client) {
+        let client = report.client;
+        let server = client.server + ":" + client.port;
+        if (client.ssl)
+          server = _radio("report.ssl", server);
+        lines.push(_radio("report.client", client.addonVersion,
+                          client.application, server));
+      }
+      // The connection may have been lost while getting the client details.
+      if (!this.connected)
+        throw new Error("Not connected");
+      // Long descriptions are split as the messages of a conversation.
+      let target = this.getString("reportTarget").trim();
+      let splitter = {
+        _account: this,
+        name: target,
+        getMaxMessageLength: GenericIRCConversation.getMaxMessageLength
+      };
+      lines = Array.prototype.concat.apply([], lines.map(aLine =>
+        GenericIRCConversation.prepareForSending.call(splitter,
+                                                      {message: aLine})));
+      for (let line of lines) {
+        if (!this.sendMessage("PRIVMSG", [target, line]))
+          throw new Error("The report could not be sent to " + target);
       }
 
-      // Send the message.
-      this.sendMessage("ISON", this.pendingIsOnQueue.join(" "));
+      let path =
+        yield getAccountFilePath(this.imAccount.id, "report-" + report.id + ".json");
+      yield writeTextFile(path, JSON.stringify(report, null, 2));
+      return {report: report, path: path};
+    }.bind(this));
+  },
 
-      // Append the pending nicks so trackQueue contains all the nicks.
-      this.trackQueue = this.trackQueue.concat(this.pendingIsOnQueue);
+  connect: function() {
+    this.reportConnecting();
+
+    // Load preferences. The server of the account name is tried first, then
+    // the alternate servers in order.
+    let port = this.getInt("port");
+    this._endpoints = [{host: this.name.slice(this.name.lastIndexOf("@") + 1),
+                        port: port, ssl: this.getBool("ssl")}]
+      .concat(parseEndpoints(this.getString("alternateServers"), port));
+    this._endpointIndex = 0;
+    this._proxy = this._getProxy();
+    if (this._proxy && this._proxy.error) {
+      this.gotDisconnected(Ci.prplIAccount.ERROR_OTHER_ERROR,
+                           this._proxy.error);
+      return;
+    }
+    // The WebSocket transport can't go through the proxy, never connect
+    // directly instead.
+    if (this._proxy && this.getString("transport") == "websocket") {
+      this.gotDisconnected(Ci.prplIAccount.ERROR_OTHER_ERROR,
+                           _radio("proxy.error.webSocket"));
+      return;
     }
 
-    // Call this function again in _isOnDelay seconds.
-    // This makes the assumption that this._isOnDelay >> the response to ISON
-    // from the server.
-    this._isOnTimer = setTimeout(this.sendIsOn.bind(this), this._isOnDelay);
-  },
+    this._clientCert = this._getClientCertificate();
 
-  // The message of the day uses two fields to append messages.
-  _motd: null,
-  _motdTimer: null,
+    // Use the display name as the user's real name.
+    this._realname = this.imAccount.statusInfo.displayName;
+    this._encoding = this.getString("encoding") || "UTF-8";
+    this._showServerTab = this.getBool("showServerTab");
 
-  connect: function() {
-    this.reportConnecting();
+    this._connectSocket();
+
+    // Follow what is on air.
+    this.startStatusPolling();
+    if (this.getBool("trackFromStream"))
+      this.trackReader.start();
+    this.schedule.start();
+    this.catalog.refresh();
+
+    if (this.getBool("playOnConnect") && !this.player.playing) {
+      this.player.play(this.getString("quality"));
+      this._playingWithAccount = true;
+    }
+  },
+
+  // The servers to connect to as {host, port, ssl} objects, see connect.
+  _endpoints: [],
+  _endpointIndex: 0,
+  _connectSocket: function() {
+    let endpoint = this._endpoints[this._endpointIndex];
+    this._server = endpoint.host;
+    this._port = endpoint.port;
+    this._ssl = endpoint.ssl;
+    this.LOG("Connecting to " + formatEndpoint(endpoint) + ".");
 
     // Mark existing MUCs as joining if they will be rejoined.
     this.conversations.forEach(conversation => {
@@ -1504,18 +4068,97 @@ radiognuAccount.prototype = {
         conversation.joining = true;
     });
 
-    // Load preferences.
-    this._port = this.getInt("port");
-    this._ssl = this.getBool("ssl");
-
-    // Use the display name as the user's real name.
-    this._realname = this.imAccount.statusInfo.displayName;
-    this._encoding = this.getString("encoding") || "UTF-8";
-    this._showServerTab = this.getBool("showServerTab");
+    if (this.getString("transport") == "websocket") {
+      // The WebSocket URL defaults to the current server.
+      let url = this.getString("webSocketURL").trim() ||
+        (this._ssl ? "wss" : "ws") + "://" + this._server + ":" + this._port +
+        "/";
+      this._ssl = /^wss:/i.test(url);
+      this._socket = new radiognuWebSocket(this);
+      this._socket.connect(url);
+      return;
+    }
 
     // Open the socket connection.
     this._socket = new radiognuSocket(this);
-    this._socket.connect(this._server, this._port, this._ssl ? ["ssl"] : []);
+    let security = this._ssl ? ["ssl"] : [];
+    let proxy = this._proxy;
+    if (proxy) {
+      this._socket.proxyType = proxy.type;
+      this._socket.proxyHasCredentials = proxy.hasCredentials;
+      // TLS can only be started once the tunnel is opened, see
+      // radiognuSocket.onConnection.
+      if (proxy.type == "http") {
+        this._socket._tunnel = {authorization: proxy.authorization,
+                                ssl: this._ssl};
+        security = this._ssl ? ["starttls"] : [];
+      }
+    }
+    this._socket.connect(this._server, this._port, security,
+                         proxy && proxy.info);
+  },
+
+  // The proxy used to connect, see _getProxy.
+  _proxy: null,
+  // Returns the proxy set in the account options as an object with the type
+  // of proxy ("socks" or "http"), the nsIProxyInfo to connect through, and
+  // the authorization header for HTTP proxies. If the proxy can't be used,
+  // returns an object with an error message instead. Returns null if no proxy
+  // is set.
+  _getProxy: function() {
+    let type = this.getString("proxyType");
+    let host = this.getString("proxyHost").trim();
+    if (type == "none" || !host)
+      return null;
+    let port = this.getInt("proxyPort");
+    let username = this.getString("proxyUsername");
+    let password = this.getString("proxyPassword");
+    let proxyService = Cc["@mozilla.org/network/protocol-proxy-service;1"]
+                         .getService(Ci.nsIProtocolProxyService);
+    // Don't fail over to another proxy, or to a direct connection.
+    const kFailoverTimeout = 0xffffffff;
+
+    if (type == "socks5") {
+      // The host names are resolved by the proxy to avoid leaking them.
+      let flags = Ci.nsIProxyInfo.TRANSPARENT_PROXY_RESOLVES_HOST;
+      let info;
+      if (!username)
+        info = proxyService.newProxyInfo("socks", host, port, flags,
+                                         kFailoverTimeout, null);
+      else if ("newProxyInfoWithAuth" in proxyService) {
+        info = proxyService.newProxyInfoWithAuth("socks", host, port, username,
+                                                 password, flags,
+                                                 kFailoverTimeout, null);
+      }
+      else
+        return {error: _radio("proxy.error.socksAuthUnsupported")};
+      return {type: "socks", info: info, hasCredentials: !!username};
+    }
+
+    // The socket connects to the proxy, the tunnel to the server is opened
+    // with a CONNECT request.
+    let proxy = {
+      type: "http",
+      info: proxyService.newProxyInfo("http", host, port, 0, kFailoverTimeout,
+                                      null),
+      hasCredentials: !!username
+    };
+    if (username) {
+      proxy.authorization = "Basic " +
+        btoa(unescape(encodeURIComponent(username + ":" + password)));
+    }
+    return proxy;
+  },
+
+  // The stream player of this account.
+  player: null,
+  // Whether the player was started by connecting the account, and should then
+  // be stopped when it disconnects.
+  _playingWithAccount: false,
+  stopPlayingWithAccount: function() {
+    if (this._playingWithAccount)
+      this.player.stop();
+    delete this._playingWithAccount;
   },
 
   // Functions for keeping track of whether the Client Capabilities is done.
@@ -1524,6 +4167,140 @@ radiognuAccount.prototype = {
   // being handled removeCAP should be called with the same string.
   _caps: new Set(),
   _capTimeout: null,
+  // The capabilities acknowledged by the server.
+  enabledCAPs: null,
+  // The open batches of messages, as {type, params, label} objects indexed by
+  // their reference.
+  batches: null,
+  // The message being handled, see radiognuSocket.onDataReceived.
+  _currentMessage: null,
+  // When the connection was established, in ms.
+  _connectedTime: 0,
+
+  // The messages waiting to be echoed by the server, as {conv, text, isNotice,
+  // label, timer} objects.
+  _echoQueue: [],
+  _lastLabel: 0,
+  // Sends a message of a conversation, it is displayed once echoed by the
+  // server. If this takes a while, the user is told it is being sent.
+  sendEchoedMessage: function(aConv, aText, aIsNotice, aTags = {}) {
+    const kPendingNoticeDelay = 2 * 1000;
+    const kEchoTimeout = 30 * 1000;
+    let pending = {conv: aConv, text: aText, isNotice: !!aIsNotice};
+    let tags = Object.assign({}, aTags);
+    if (this.enabledCAPs.has("labeled-response"))
+      pending.label = tags.label = "rg" + ++this._lastLabel;
+    if (!this.sendTaggedMessage(aIsNotice ? "NOTICE" : "PRIVMSG",
+                                [aConv.name, aText], tags)) {
+      aConv.writeMessage(this._currentServerName,
+                         _("error.sendMessageFailed"),
+                         {error: true, system: true});
+      return;
+    }
+    aConv._pendingMessage = true;
+
+    pending.timer = setTimeout(() => {
+      this._writeToConv(aConv, _radio("message.pending", aText),
+                        {system: true, noLog: true});
+      pending.timer = setTimeout(() => {
+        this._removePendingEcho(pending);
+        this._writeToConv(aConv, _radio("message.notConfirmed", aText),
+                          {system: true, error: true});
+      }, kEchoTimeout);
+    }, kPendingNoticeDelay);
+    this._echoQueue.push(pending);
+  },
+  _removePendingEcho: function(aPending) {
+    clearTimeout(aPending.timer);
+    let index = this._echoQueue.indexOf(aPending);
+    if (index != -1)
+      this._echoQueue.splice(index, 1);
+  },
+  _writeToConv: function(aConv, aText, aProperties) {
+    if (this.conversations.get(aConv.name) == aConv)
+      aConv.writeMessage(this._currentServerName, aText, aProperties);
+  },
+  // Returns the label of a reply of the server, possibly through its batch.
+  getLabel: function(aMessage) {
+    if (aMessage.tags.has("label"))
+      return aMessage.tags.get("label");
+    let reference = aMessage.tags.get("batch");
+    if (reference && this.batches.has(reference))
+      return this.batches.get(reference).label || null;
+    return null;
+  },
+  // Displays a message we sent, once echoed by the server. It may also have
+  // been sent by another client of a bouncer. Without label, the echo is the
+  // oldest message sent to aTarget: the server may have changed its text, e.g.
+  // removed the colors.
+  gotEcho: function(aTarget, aText, aLabel) {
+    let target = this.normalize(aTarget);
+    let pending = this._echoQueue.find(aPending =>
+      aLabel ? aPending.label == aLabel
+             : !aPending.label && this.normalize(aPending.conv.name) == target);
+    if (pending)
+      this._removePendingEcho(pending);
+    let conv = pending ? pending.conv : this.conversations.get(aTarget);
+    if (!conv && !pending && !this.isMUCName(aTarget))
+      conv = this.getConversation(aTarget);
+    if (conv && this.conversations.get(conv.name) == conv)
+      conv.writeMessage(this._nickname, aText, {outgoing: true});
+  },
+  // Attaches an error of the server to the message it refers to, given by its
+  // label or, without labeled-response, the oldest message sent to aTarget.
+  // Returns false if no such message is waiting.
+  gotDeliveryError: function(aLabel, aTarget, aReason) {
+    let target = this.normalize(aTarget);
+    let pending = this._echoQueue.find(aPending =>
+      aLabel ? aPending.label == aLabel
+             : !aPending.label && this.normalize(aPending.conv.name) == target);
+    if (!pending)
+      return false;
+    this._removePendingEcho(pending);
+    pending.conv._pendingMessage = false;
+    this._writeToConv(pending.conv,
+                      _radio("message.notDelivered", pending.text, aReason),
+                      {system: true, error: true});
+    return true;
+  },
+
+  // Whether a message is part of the history of a channel, see requestHistory.
+  isHistoryMessage: function(aMessage) {
+    let reference = aMessage.tags.get("batch");
+    if (reference && this.batches.has(reference))
+      return /chathistory$/.test(this.batches.get(reference).type);
+    // The messages played back by ZNC are not in batches, but are older than
+    // the connection.
+    let time = Date.parse(aMessage.tags.get("time"));
+    return this.enabledCAPs.has("znc.in/playback") &&
+           time < this._connectedTime;
+  },
+  // Requests the recent messages of a channel, only the ones after the last
+  // message already displayed if the channel is rejoined.
+  requestHistory: function(aChannel) {
+    let count = this.getInt("historyLength");
+    if (count <= 0)
+      return;
+    let lastTime = 0;
+    if (this.conversations.has(aChannel)) {
+      let conv = this.conversations.get(aChannel);
+      lastTime = conv._historyStartTime = conv._lastMessageTime;
+    }
+    if (this.enabledCAPs.has("draft/chathistory") &&
+        this.enabledCAPs.has("batch")) {
+      let from = lastTime ? "timestamp=" + new Date(lastTime).toISOString()
+                          : "*";
+      this.sendMessage("CHATHISTORY",
+                       ["LATEST", aChannel, from, count.toString()]);
+    }
+    else if (this.enabledCAPs.has("znc.in/playback")) {
+      // PLAY <channel> <from>, with the time in seconds. The number of messages
+      // can't be limited: ZNC replays its whole buffer the first time, as the
+      // historyLength option says.
+      this.sendMessage("PRIVMSG", ["*playback", "PLAY " + aChannel + " " +
+                                   Math.floor(lastTime / 1000)]);
+    }
+  },
   addCAP: function(aCAP) {
     if (this.connected) {
       this.ERROR("Trying to add CAP " + aCAP + " after connection.");
@@ -1550,6 +4327,43 @@ radiognuAccount.prototype = {
       this.sendMessage("CAP", "END");
   },
 
+  // The SASL mechanism to use ("plain" or "external"), if any. PLAIN requires
+  // the password of the account.
+  get saslMechanism() {
+    let mechanism = this.getString("saslMechanism");
+    if (mechanism == "none" ||
+        (mechanism == "plain" && !this.imAccount.password))
+      return null;
+    return mechanism;
+  },
+  _saslAuthenticated: false,
+  saslFailed: function(aReason) {
+    this.WARN("SASL authentication failed: " + aReason);
+    if (this.getBool("requireSASL")) {
+      this.gotDisconnected(Ci.prplIAccount.ERROR_AUTHENTICATION_FAILED,
+                           _radio("sasl.error.failed", aReason));
+      return;
+    }
+    // Continue without authentication.
+    this.removeCAP("sasl");
+  },
+
+  // The client certificate chosen in the account options, see
+  // radiognuSocket._setClientCertificate.
+  _clientCert: null,
+  _getClientCertificate: function() {
+    let dbKey = this.getString("clientCertificate");
+    if (dbKey == "none")
+      return null;
+    try {
+      return Cc["@mozilla.org/security/x509certdb;1"]
+               .getService(Ci.nsIX509CertDB).findCertByDBKey(dbKey, null);
+    } catch (e) {
+      this.WARN("The client certificate could not be found: " + e);
+      return null;
+    }
+  },
+
   // Used to wait for a response from the server.
   _quitTimer: null,
   // RFC 2812 Section 3.1.7.
@@ -1696,6 +4510,34 @@ radiognuAccount.prototype = {
     return message;
   },
 
+  // Builds a message with the IRCv3 message tags of the object aTags (a value
+  // of true sends the tag without value). Client-only tags have a key starting
+  // with "+". The tags are dropped if the server doesn't support them.
+  // The label tag is also sent when only labeled-response is supported.
+  buildTaggedMessage: function(aCommand, aParams, aTags) {
+    let message = this.buildMessage(aCommand, aParams);
+    if (!message)
+      return message;
+    let tags = [];
+    for (let key in aTags) {
+      if (!this.enabledCAPs.has("message-tags") &&
+          (key != "label" || !this.enabledCAPs.has("labeled-response")))
+        continue;
+      if (!/^\+?(?:[a-z0-9.-]+\/)?[a-z0-9-]+$/i.test(key)) {
+        this.ERROR("Invalid message tag: " + key);
+        return null;
+      }
+      let value = aTags[key];
+      tags.push(value === true ? key : key + "=" + escapeTagValue(value));
+    }
+    if (!tags.length)
+      return message;
+    return "@" + tags.join(";") + " " + message;
+  },
+  sendTaggedMessage: function(aCommand, aParams, aTags, aLoggedData)
+    this.sendRawMessage(this.buildTaggedMessage(aCommand, aParams, aTags),
+                        aLoggedData),
+
   // Shortcut method to build & send a message at once. Use aLoggedData to log
   // something different than what is actually sent.
   // Returns false if the message could not be sent.
@@ -1773,6 +4615,11 @@ radiognuAccount.prototype = {
     // Send the Client Capabilities list command.
     this.sendMessage("CAP", "LS");
 
+    // The password is not sent before the certificate of the server is
+    // checked against its pin.
+    this._socket.waitForCertificate(this._sendRegistration.bind(this));
+  },
+  _sendRegistration: function() {
     if (this.prefs.prefHasUserValue("serverPassword")) {
       this.sendMessage("PASS", this.getString("serverPassword"),
                        "PASS <password not logged>");
@@ -1807,14 +4654,46 @@ radiognuAccount.prototype = {
     // Otherwise it's because we lost the connection.
     if (!this.disconnecting)
       this._reportDisconnecting(aError, aErrorMessage);
-    this._socket.disconnect();
-    delete this._socket;
+    this._cancelReconnect();
+    this._closeConnection();
+
+    this.stopStatusPolling();
+    this.trackReader.stop();
+    this.schedule.stop();
+    this.bot.cancel();
+    this.stopPlayingWithAccount();
+    // The track is no longer followed.
+    delete this.nowPlaying;
+
+    this.reportDisconnected();
+  },
+
+  // Closes the socket and resets the state of the connection, the
+  // conversations are kept to be rejoined when connecting again.
+  _closeConnection: function() {
+    if (this._socket) {
+      this._socket.disconnect();
+      delete this._socket;
+    }
 
     this._caps.clear();
+    this.enabledCAPs.clear();
+    this.batches.clear();
+    // The messages that were not echoed may not have been delivered.
+    for (let pending of this._echoQueue) {
+      clearTimeout(pending.timer);
+      this._writeToConv(pending.conv,
+                        _radio("message.notConfirmed", pending.text),
+                        {system: true, error: true});
+    }
+    this._echoQueue = [];
 
     clearTimeout(this._isOnTimer);
     delete this._isOnTimer;
 
+    // The away status is sent again after connecting.
+    delete this.isAway;
+
     // MOTD will be resent.
     delete this._motd;
     clearTimeout(this._motdTimer)
@@ -1822,6 +4701,7 @@ radiognuAccount.prototype = {
 
     // We must authenticate if we reconnect.
     delete this.isAuthenticated;
+    delete this._saslAuthenticated;
 
     // Clear any pending attempt to regain our nick.
     clearTimeout(this._nickInUseTimeout);
@@ -1837,6 +4717,11 @@ radiognuAccount.prototype = {
           conversation.removeParticipant(this._nickname);
           conversation.left = true;
         }
+        // The poll can't be closed while disconnected, see closePoll.
+        if (conversation.poll) {
+          clearTimeout(conversation.poll.timer);
+          delete conversation.poll.timer;
+        }
       }
     });
 
@@ -1847,8 +4732,120 @@ radiognuAccount.prototype = {
 
     // Clear whois table.
     this.whoisInformation.clear();
+  },
 
-    this.reportDisconnected();
+  // Automatic reconnection, the delay before each attempt doubles, up to the
+  // reconnectMaxDelay option, and is randomized to avoid all the clients
+  // reconnecting at once after a network failure.
+  _kReconnectBaseDelay: 5,
+  _reconnectAttempt: 0,
+  _reconnectTimer: null,
+  // Called when the connection failed before being established, tries the
+  // next server if any. Returns false if there is none.
+  _tryNextEndpoint: function(aErrorMessage) {
+    if (this.connected || this.disconnecting ||
+        this._endpointIndex + 1 >= this._endpoints.length)
+      return false;
+    let failed = this._endpoints[this._endpointIndex];
+    let next = this._endpoints[++this._endpointIndex];
+    let msg = _radio("endpoint.failed", formatEndpoint(failed), aErrorMessage,
+                     formatEndpoint(next));
+    this.WARN(msg);
+    this._writeServerMessage(msg);
+    this.reportConnecting(msg);
+    this._closeConnection();
+    this._connectSocket();
+    return true;
+  },
+  // Called when the connection can't be established, e.g. because of the
+  // certificate of the server.
+  connectionFailed: function(aError, aErrorMessage) {
+    if (!this._tryNextEndpoint(aErrorMessage))
+      this.gotDisconnected(aError, aErrorMessage);
+  },
+  // Called when the connection was lost unexpectedly, or could not be
+  // established.
+  connectionLost: function(aErrorMessage) {
+    if (this._tryNextEndpoint(aErrorMessage))
+      return;
+
+    let maxAttempts = this.getInt("reconnectAttempts");
+    let gaveUp = maxAttempts > 0 && this._reconnectAttempt > 0 &&
+                 this._reconnectAttempt >= maxAttempts;
+    if (!this.getBool("autoReconnect") || this.disconnecting || gaveUp) {
+      if (gaveUp)
+        this._writeServerMessage(_radio("reconnect.failed"));
+      // Without automatic reconnection, the core reconnects after network
+      // errors as usual, but not once the attempts are exhausted.
+      let error = Ci.prplIAccount.ERROR_NETWORK_ERROR;
+      if (gaveUp || this.disconnecting)
+        error = Ci.prplIAccount.ERROR_OTHER_ERROR;
+      this.gotDisconnected(error, aErrorMessage);
+      return;
+    }
+
+    // Cancel any pending buffered commands, they will be sent again.
+    this._commandBuffers.clear();
+    this.buddies.forEach(function(aBuddy)
+      aBuddy.setStatus(Ci.imIStatusInfo.STATUS_UNKNOWN, ""));
+    this._closeConnection();
+
+    let maxDelay = Math.max(this.getInt("reconnectMaxDelay"),
+                            this._kReconnectBaseDelay);
+    let delay = Math.min(maxDelay,
+      this._kReconnectBaseDelay * Math.pow(2, this._reconnectAttempt));
+    // Wait between half and all of the delay.
+    delay = Math.round(delay * 1000 * (1 + Math.random()) / 2);
+    ++this._reconnectAttempt;
+
+    let seconds = Math.ceil(delay / 1000);
+    let msg = PluralForm.get(seconds, _radio("reconnect.scheduled"))
+                        .replace("#1", aErrorMessage)
+                        .replace("#2", this._reconnectAttempt)
+                        .replace("#3", seconds);
+    this.LOG(msg);
+    this._writeServerMessage(msg);
+    this.reportConnecting(msg);
+    this._reconnectTimer = setTimeout(this._reconnect.bind(this), delay);
+  },
+  _reconnect: function() {
+    delete this._reconnectTimer;
+    this._endpointIndex = 0;
+    let msg = _radio("reconnect.connecting", this._reconnectAttempt);
+    this._writeServerMessage(msg);
+    this.reportConnecting(msg);
+    this._connectSocket();
+  },
+  _cancelReconnect: function() {
+    clearTimeout(this._reconnectTimer);
+    delete this._reconnectTimer;
+    delete this._reconnectAttempt;
+  },
+  // Reports the reconnection attempts in the server tab, if it is shown.
+  _writeServerMessage: function(aMsg) {
+    let name = this._currentServerName;
+    if (!this._showServerTab && !this.conversations.has(name))
+      return;
+    this.getConversation(name).writeMessage(name, aMsg, {system: true});
+  },
+
+  reportConnected: function() {
+    this._connectedTime = Date.now();
+    let endpoint = formatEndpoint(this._endpoints[this._endpointIndex]);
+    this.LOG("Connected to " + endpoint + ".");
+    if (this._endpointIndex)
+      this._writeServerMessage(_radio("endpoint.connected", endpoint));
+    if (this._reconnectAttempt) {
+      this._writeServerMessage(_radio("reconnect.done", this._nickname));
+      this._cancelReconnect();
+      // The channels that were not parted are rejoined with their keys (see
+      // chatRoomFields) and the buddies tracked again once connected, restore
+      // the away status too.
+      let statusType = this.imAccount.statusInfo.statusType;
+      if (statusType < Ci.imIStatusInfo.STATUS_AVAILABLE)
+        this.observe(null, "status-changed");
+    }
+    GenericAccountPrototype.reportConnected.call(this);
   },
 
   remove: function() {
@@ -1868,13 +4865,22 @@ radiognuAccount.prototype = {
     delete this.imAccount;
     clearTimeout(this._isOnTimer);
     clearTimeout(this._quitTimer);
+    clearTimeout(this._reconnectTimer);
+    this.stopStatusPolling();
+    this.trackReader.stop();
+    this.schedule.stop();
+    this.bot.cancel();
+    this.player.stop();
+    this.songHistory.save();
   }
 };
 
 function radiognuProtocol() {
   // ircCommands.jsm exports one variable: commands. Import this directly into
-  // the protocol object.
+  // the protocol object, it shadows the RadioGNU commands of the prototype so
+  // add them back.
   Cu.import("resource:///modules/ircCommands.jsm", this);
+  this.commands = this.commands.concat(radiognuProtocol.prototype.commands);
   this.registerCommands();
 
   // Register the standard handlers.
@@ -1916,6 +4922,17 @@ function radiognuProtocol() {
   ircHandlers.registerISUPPORTHandler(tempScope.isupportMONITOR);
   ircHandlers.registerHandler(tempScope.ircSASL);
   ircHandlers.registerCAPHandler(tempScope.capSASL);
+
+  // Register the RadioGNU handlers.
+  ircHandlers.registerHandler(ircGnoll);
+  ircHandlers.registerCAPHandler(capRadiognuSASL);
+  ircHandlers.registerHandler(ircRadiognuSASL);
+  ircHandlers.registerCAPHandler(capMessageTags);
+  ircHandlers.registerHandler(ircMessageTags);
+  ircHandlers.registerCAPHandler(capHistory);
+  ircHandlers.registerHandler(ircHistory);
+  ircHandlers.registerCAPHandler(capEchoMessage);
+  ircHandlers.registerHandler(ircEchoMessage);
 }
 radiognuProtocol.prototype = {
   __proto__: GenericProtocolPrototype,
@@ -1931,16 +4948,421 @@ radiognuProtocol.prototype = {
   commands: [
     {
       name: "gnoll",
-      get helpString() "Print the Gnoll Commands",
-      run: function (aMsg, aConv) {
+      get helpString() _radio("command.gnoll", "gnoll"),
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let bot = conv._account.bot;
+        let action = aMsg.trim().toLowerCase();
+        if (action == "actualizar") {
+          if (!bot.nick || !conv._account.connected) {
+            conv.writeMessage("radiognu", _radio("message.bot.absent", bot.nick),
+                              {system: true, noLog: true, error: true});
+            return true;
+          }
+          bot.refresh(conv);
+          return true;
+        }
+        if (action)
+          return false;
+        conv.writeMessage("radiognu", bot.getCommandsMessage(),
+                          {system: true, noLog: true});
+        return true;
+      }
+    },
+    {
+      name: "sonando",
+      get helpString() _radio("command.sonando", "sonando"),
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        // Ask the bot when it is around, it knows better.
+        if (conv._account.bot.isInChannel(conv))
+          return runBotCommand(aConv, "sonando", "");
+        conv.writeMessage("radiognu", conv._account.getNowPlayingMessage(),
+                          {system: true, noLog: true});
+        return true;
+      }
+    },
+    {
+      name: "cuantos",
+      get helpString() _radio("command.cuantos", "cuantos"),
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        if (conv._account.bot.isInChannel(conv))
+          return runBotCommand(aConv, "cuantos", "");
+        conv.writeMessage("radiognu", conv._account.getListenersMessage(),
+                          {system: true, noLog: true});
+        return true;
+      }
+    },
+    {
+      name: "hablaclaro",
+      get helpString() _radio("command.hablaclaro", "hablaclaro"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: (aMsg, aConv) => runBotCommand(aConv, "hablaclaro", aMsg, true)
+    },
+    {
+      name: "sl",
+      get helpString() _radio("command.sl", "sl"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: (aMsg, aConv) => runBotCommand(aConv, "sl", aMsg)
+    },
+    {
+      name: "dedicatoria",
+      get helpString() _radio("command.dedicatoria", "dedicatoria"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: (aMsg, aConv) => runBotCommand(aConv, "dedicatoria", aMsg, true)
+    },
+    {
+      name: "historial",
+      get helpString() _radio("command.historial", "historial"),
+      run: function(aMsg, aConv) {
+        const kDefaultCount = 10;
+        let conv = aConv.wrappedJSObject;
+        let account = conv._account;
+        let arg = aMsg.trim().toLowerCase();
+        let type = {system: true, noLog: true};
+
+        if (arg == "csv" || arg == "json") {
+          account.songHistory.exportTo(arg).then(aPath =>
+            conv.writeMessage("radiognu",
+                              _radio("message.history.exported", aPath), type),
+          aError => {
+            account.ERROR("Failed to export the song history: " + aError);
+            conv.writeMessage("radiognu", _radio("message.history.exportFailed"),
+                              {system: true, noLog: true, error: true});
+          });
+          return true;
+        }
+
+        let count = arg ? parseInt(arg, 10) : kDefaultCount;
+        if (!(count > 0))
+          return false;
+        conv.writeMessage("radiognu", account.getHistoryMessage(count), type);
+        return true;
+      }
+    },
+    {
+      name: "programacion",
+      get helpString() _radio("command.programacion", "programacion"),
+      run: function(aMsg, aConv) {
+        const kDefaultCount = 5;
+        let conv = aConv.wrappedJSObject;
+        let account = conv._account;
+        let type = {system: true, noLog: true};
+
+        let [, action, show] = /^\s*(\S*)\s*(.*?)\s*$/.exec(aMsg);
+        action = action.toLowerCase();
+        if (action == "marcar" || action == "desmarcar") {
+          if (!show)
+            return false;
+          let favorite = action == "marcar";
+          account.schedule.setFavorite(show, favorite);
+          conv.writeMessage("radiognu",
+                            _radio("message.schedule." + action, show), type);
+          return true;
+        }
+
+        let count = action ? parseInt(action, 10) : kDefaultCount;
+        if (!(count > 0))
+          return false;
+        conv.writeMessage("radiognu", account.getScheduleMessage(count), type);
+        return true;
+      }
+    },
+    {
+      name: "alaire",
+      get helpString() _radio("command.alaire", "alaire"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let account = conv._account;
+        let show = aMsg.trim() || account.currentShow;
+        if (!show)
+          return false;
+        if (!conv.isOperator) {
+          conv.writeMessage("radiognu",
+                            _radio("message.broadcast.notOperator", conv.name),
+                            {system: true, noLog: true, error: true});
+          return true;
+        }
+        account.startBroadcast(conv, show);
+        conv.writeMessage("radiognu", _radio("message.broadcast.started", show),
+                          {system: true, noLog: true});
+        return true;
+      }
+    },
+    {
+      name: "fuera",
+      get helpString() _radio("command.fuera", "fuera"),
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let account = conv._account;
+        let msg = _radio("message.broadcast.notStarted");
+        if (account.broadcast) {
+          msg = _radio("message.broadcast.stopped", account.broadcast.show);
+          account.stopBroadcast();
+        }
+        conv.writeMessage("radiognu", msg, {system: true, noLog: true});
+        return true;
+      }
+    },
+    {
+      name: "preguntas",
+      get helpString() _radio("command.preguntas", "preguntas"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let type = {system: true, noLog: true};
+        let [, action, id] = /^\s*(\S*)\s*(.*?)\s*$/.exec(aMsg);
+        action = action.toLowerCase();
+        if (!action) {
+          conv.writeMessage("radiognu", conv.getQuestionsMessage(), type);
+          return true;
+        }
+        if (action != "tomar" && action != "descartar")
+          return false;
+
+        let question = conv.getQuestion(id);
+        if (!question) {
+          conv.writeMessage("radiognu", _radio("message.questions.unknown", id),
+                            {system: true, noLog: true, error: true});
+          return true;
+        }
+        if (action == "tomar")
+          question.taken = true;
+        else
+          conv.removeQuestion(question);
+        conv.writeMessage("radiognu",
+                          _radio("message.questions." + action, question.id,
+                                 question.nick),
+                          type);
+        return true;
+      }
+    },
+    {
+      name: "responder",
+      get helpString() _radio("command.responder", "responder"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let [, id, answer] = /^\s*(\S*)\s*([\s\S]*?)\s*$/.exec(aMsg);
+        if (!id)
+          return false;
+        // A number refers to a question, unless it is the msgid of a message,
+        // otherwise to a nick or a msgid.
+        let isNumber = /^\d+$/.test(id);
+        let question = isNumber && conv.getQuestion(id);
+        if (question) {
+          conv.answerQuestion(question, answer);
+          return true;
+        }
+        let message = conv.findMessage(id, isNumber);
+        if (!message) {
+          let error = isNumber ? "message.questions.unknown"
+                               : "message.reply.unknown";
+          conv.writeMessage("radiognu", _radio(error, id),
+                            {system: true, noLog: true, error: true});
+          return true;
+        }
+        if (!answer)
+          return false;
+        conv.sendReply(message, answer);
+        return true;
+      }
+    },
+    {
+      name: "reaccionar",
+      get helpString() _radio("command.reaccionar", "reaccionar"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let [, id, reaction] = /^\s*(\S*)\s*(\S*)\s*$/.exec(aMsg) || [];
+        if (!id || !reaction)
+          return false;
+        let message = conv.findMessage(id);
+        if (!message) {
+          conv.writeMessage("radiognu", _radio("message.reply.unknown", id),
+                            {system: true, noLog: true, error: true});
+          return true;
+        }
+        conv.sendReaction(message, reaction);
+        return true;
+      }
+    },
+    {
+      name: "encuesta",
+      get helpString() _radio("command.encuesta", "encuesta"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let [, question, options] = /^\s*"([^"]+)"\s*(.*)$/.exec(aMsg) || [];
+        if (!question)
+          return false;
+        options = options.split("|").map(aOption => aOption.trim())
+                         .filter(aOption => !!aOption);
+        if (options.length < 2)
+          return false;
+        if (conv.poll) {
+          conv.writeMessage("radiognu", _radio("message.poll.running"),
+                            {system: true, noLog: true, error: true});
+          return true;
+        }
+        let duration = Math.max(conv._account.getInt("pollDuration"), 1);
+        conv.startPoll(question.trim(), options, duration);
+        return true;
+      }
+    },
+    {
+      name: "cerrar",
+      get helpString() _radio("command.cerrar", "cerrar"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        if (!conv.poll) {
+          conv.writeMessage("radiognu", _radio("message.poll.none"),
+                            {system: true, noLog: true, error: true});
+          return true;
+        }
+        conv.closePoll();
+        return true;
+      }
+    },
+    {
+      name: "pedir",
+      get helpString() _radio("command.pedir", "pedir"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let request = aMsg.trim();
+        if (!request)
+          return false;
+        let catalog = conv._account.catalog;
+        if (!catalog.tracks.length) {
+          conv.writeMessage("radiognu", _radio("message.request.noCatalog"),
+                            {system: true, noLog: true, error: true});
+          return true;
+        }
+
+        let result = catalog.check(request);
+        if (result.track) {
+          conv.sendMsg(kSongRequestPrefix + formatTrack(result.track));
+          return true;
+        }
+        let msg = _radio("message.request." + result.reason, request);
+        if (result.suggestion) {
+          msg += " " + _radio("message.request.suggestion",
+                              formatTrack(result.suggestion));
+        }
+        conv.writeMessage("radiognu", msg,
+                          {system: true, noLog: true, error: true});
+        return true;
+      }
+    },
+    {
+      name: "pedidos",
+      get helpString() _radio("command.pedidos", "pedidos"),
+      usageContext: Ci.imICommand.CMD_CONTEXT_CHAT,
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let action = aMsg.trim().toLowerCase();
+        let msg;
+        if (action == "borrar") {
+          conv.songRequests.clear();
+          msg = _radio("message.requests.cleared");
+        }
+        else if (!action)
+          msg = conv.getSongRequestsMessage();
+        else
+          return false;
+        conv.writeMessage("radiognu", msg, {system: true, noLog: true});
+        return true;
+      }
+    },
+    {
+      name: "reportar",
+      get helpString()
+        _radio("command.reportar", "reportar", kReportCategories.join("|")),
+      run: function(aMsg, aConv) {
         let conv = aConv.wrappedJSObject;
-        var text = '!sonando ---> dice lo que suena por la radio \n'
-                 + '!cuantos ---> dice cuantos pelagatos escuchan esto \n'
-                 + '!hablaclaro persona ---> le dice un mensaje agradable a "persona" \n'                
-                 + '!sl ---> dice frases célebres de RMS \n'           
-                 + '!dedicatoria persona ---> le dice un poema a "persona"';
-          conv.writeMessage("radiognu", text,
+        let account = conv._account;
+        let params = /^(\S+)\s+(\S+)\s+(.+)$/.exec(aMsg.trim());
+        if (!params)
+          return false;
+        let [, category, url, description] = params;
+        category = category.toLowerCase();
+        if (kReportCategories.indexOf(category) == -1 ||
+            !/^https?:\/\//i.test(url))
+          return false;
+        if (!account.getString("reportTarget").trim()) {
+          conv.writeMessage("radiognu", _radio("message.report.noTarget"),
+                            {system: true, noLog: true, error: true});
+          return true;
+        }
+        if (!account.connected) {
+          conv.writeMessage("radiognu", _radio("message.report.offline"),
+                            {system: true, noLog: true, error: true});
+          return true;
+        }
+
+        account.sendReport(category, url, description.trim()).then(aResult => {
+          conv.writeMessage("radiognu",
+                            _radio("message.report.sent", aResult.report.id,
+                                   account.getString("reportTarget").trim(),
+                                   aResult.path),
                             {system: true, noLog: true});
+        }).catch(aError => {
+          account.ERROR("Failed to send the report: " + aError);
+          conv.writeMessage("radiognu", _radio("message.report.failed"),
+                            {system: true, noLog: true, error: true});
+        });
+        return true;
+      }
+    },
+    {
+      name: "certinfo",
+      get helpString() _radio("command.certinfo", "certinfo"),
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let account = conv._account;
+        let action = aMsg.trim().toLowerCase();
+        let msg;
+        if (action == "borrar") {
+          account.resetCertificatePins();
+          msg = _radio("message.certificate.reset");
+        }
+        else if (!action)
+          msg = account.getCertificatePinsMessage();
+        else
+          return false;
+        conv.writeMessage("radiognu", msg, {system: true, noLog: true});
+        return true;
+      }
+    },
+    {
+      name: "escuchar",
+      get helpString() _radio("command.escuchar", "escuchar"),
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let account = conv._account;
+        let quality = aMsg.trim().toLowerCase() || account.getString("quality");
+        if (!kStreamMounts.hasOwnProperty(quality))
+          return false;
+        account.player.play(quality, conv);
+        // The user took control of the playback.
+        delete account._playingWithAccount;
+        return true;
+      }
+    },
+    {
+      name: "parar",
+      get helpString() _radio("command.parar", "parar"),
+      run: function(aMsg, aConv) {
+        let conv = aConv.wrappedJSObject;
+        let account = conv._account;
+        let msg = account.player.stop() ? "message.player.stopped"
+                                        : "message.player.notPlaying";
+        delete account._playingWithAccount;
+        conv.writeMessage("radiognu", _radio(msg), {system: true, noLog: true});
         return true;
       }
     }
@@ -1953,7 +5375,109 @@ radiognuProtocol.prototype = {
     "quitmsg": {get label() _("options.quitMessage"), default: "Radio\u00D1\u00FA: La emisora del \u00F1u que te da nota."},
     "partmsg": {get label() _("options.partMessage"), default: ""},
     "showServerTab": {get label() _("options.showServerTab"), default: true},
-    "alternateNicks": {get label() _("options.alternateNicks"), default: ""}
+    "alternateNicks": {get label() _("options.alternateNicks"), default: ""},
+    "statusURL": {get label() _radio("options.statusURL"),
+                  default: "http://audio.radiognu.org/status-json.xsl"},
+    "statusInterval": {get label() _radio("options.statusInterval"),
+                       default: 30},
+    "quality": {
+      get label() _radio("options.quality"),
+      default: kDefaultQuality,
+      get listValues() {
+        let values = {};
+        for (let quality in kStreamMounts)
+          values[quality] = _radio("quality." + quality);
+        return values;
+      }
+    },
+    "playOnConnect": {get label() _radio("options.playOnConnect"),
+                      default: false},
+    "trackFromStream": {get label() _radio("options.trackFromStream"),
+                        default: false},
+    "notifyTrackChange": {get label() _radio("options.notifyTrackChange"),
+                          default: true},
+    "trackAsStatus": {get label() _radio("options.trackAsStatus"),
+                      default: false},
+    "scheduleURL": {get label() _radio("options.scheduleURL"), default: ""},
+    "favoriteShows": {get label() _radio("options.favoriteShows"),
+                      default: ""},
+    "reminderMinutes": {get label() _radio("options.reminderMinutes"),
+                        default: 10},
+    "hostNicks": {get label() _radio("options.hostNicks"), default: ""},
+    "opsAreHosts": {get label() _radio("options.opsAreHosts"), default: false},
+    "notifyHostOnAir": {get label() _radio("options.notifyHostOnAir"),
+                        default: true},
+    "onAirAnnouncement": {get label() _radio("options.onAirAnnouncement"),
+                          get default() _radio("broadcast.announcement")},
+    "topicTemplate": {get label() _radio("options.topicTemplate"),
+                      get default() _radio("broadcast.topic")},
+    "questionMarkers": {get label() _radio("options.questionMarkers"),
+                        default: "?, pregunta:"},
+    "pollDuration": {get label() _radio("options.pollDuration"), default: 5},
+    "catalogURL": {get label() _radio("options.catalogURL"), default: ""},
+    "botNick": {get label() _radio("options.botNick"), default: "Gnoll"},
+    "historyLength": {get label() _radio("options.historyLength"),
+                      default: 50},
+    "sendTyping": {get label() _radio("options.sendTyping"), default: true},
+    "saslMechanism": {
+      get label() _radio("options.saslMechanism"),
+      default: "plain",
+      get listValues() ({
+        none: _radio("saslMechanism.none"),
+        plain: _radio("saslMechanism.plain"),
+        external: _radio("saslMechanism.external")
+      })
+    },
+    "clientCertificate": {
+      get label() _radio("options.clientCertificate"),
+      default: "none",
+      get listValues() {
+        let values = {none: _radio("clientCertificate.none")};
+        let certs = Cc["@mozilla.org/security/x509certdb;1"]
+                      .getService(Ci.nsIX509CertDB).getCerts().getEnumerator();
+        while (certs.hasMoreElements()) {
+          let cert = certs.getNext().QueryInterface(Ci.nsIX509Cert);
+          if (cert.certType == Ci.nsIX509Cert.USER_CERT)
+            values[cert.dbKey] = cert.commonName || cert.subjectName;
+        }
+        return values;
+      }
+    },
+    "requireSASL": {get label() _radio("options.requireSASL"), default: false},
+    "proxyType": {
+      get label() _radio("options.proxyType"),
+      default: "none",
+      get listValues() ({
+        none: _radio("proxyType.none"),
+        socks5: _radio("proxyType.socks5"),
+        http: _radio("proxyType.http")
+      })
+    },
+    "proxyHost": {get label() _radio("options.proxyHost"), default: ""},
+    "proxyPort": {get label() _radio("options.proxyPort"), default: 1080},
+    "proxyUsername": {get label() _radio("options.proxyUsername"), default: ""},
+    "proxyPassword": {get label() _radio("options.proxyPassword"), default: ""},
+    "transport": {
+      get label() _radio("options.transport"),
+      default: "tcp",
+      get listValues() ({
+        tcp: _radio("transport.tcp"),
+        websocket: _radio("transport.websocket")
+      })
+    },
+    "webSocketURL": {get label() _radio("options.webSocketURL"), default: ""},
+    "alternateServers": {get label() _radio("options.alternateServers"),
+                         default: ""},
+    "autoReconnect": {get label() _radio("options.autoReconnect"),
+                      default: true},
+    "reconnectMaxDelay": {get label() _radio("options.reconnectMaxDelay"),
+                          default: 300},
+    "reconnectAttempts": {get label() _radio("options.reconnectAttempts"),
+                          default: 10},
+    "reportTarget": {get label() _radio("options.reportTarget"),
+                     default: "#radiognu"},
+    "reportClientDetails": {get label() _radio("options.reportClientDetails"),
+                            default: true}
   },
 
   get chatHasTopic() true,